@@ -7,6 +7,8 @@ import fs from 'fs-extra';
 import * as cameraUtils from 'camera.ui/src/controller/camera/utils/camera.utils.js';
 import { defaultVideoProcess } from 'camera.ui/src/services/config/config.defaults.js';
 
+import Logger from '../services/logger/logger.service.js';
+
 let streams = {};
 
 class UiServer extends HomebridgePluginUiServer {
@@ -31,6 +33,7 @@ class UiServer extends HomebridgePluginUiServer {
     this.onRequest('/startStream', this.startStream.bind(this));
     this.onRequest('/stopStream', this.stopStream.bind(this));
     this.onRequest('/stopStreams', this.stopStreams.bind(this));
+    this.onRequest('/stream-statistics', this.getStreamStatistics.bind(this));
 
     this.ready();
   }
@@ -57,6 +60,11 @@ class UiServer extends HomebridgePluginUiServer {
   async getCameras() {
     let cameras = [];
     const config = await fs.readJSON(this.homebridgeConfigPath, { throws: false });
+    const diagnostics =
+      (await fs.readJSON(`${this.homebridgeStoragePath}/camera.ui/diagnostics.json`, { throws: false })) || {};
+    const database =
+      (await fs.readJSON(`${this.homebridgeStoragePath}/camera.ui/database/database.json`, { throws: false })) || {};
+    const cameraSettings = (database.settings && database.settings.cameras) || [];
 
     if (config && config.platforms) {
       const cameraUI = config.platforms.find((plugin) => plugin && plugin.platform === 'CameraUI');
@@ -67,6 +75,13 @@ class UiServer extends HomebridgePluginUiServer {
         for (const camera of cameras) {
           const videoConfig = cameraUtils.generateVideoConfig(camera.videoConfig);
 
+          // last classified FFmpeg failure reported by the plugin
+          camera.failure = diagnostics[camera.name];
+
+          // recording state selected in the Home app, stored by the plugin (HSV only)
+          const settings = cameraSettings.find((cam) => cam && cam.name === camera.name);
+          camera.recordingActive = camera.hsv && settings ? settings.recordingActive : undefined;
+
           let cameraHeight = videoConfig.maxHeight;
           let cameraWidth = videoConfig.maxWidth;
           let rate = videoConfig.maxFPS >= 20 ? videoConfig.maxFPS : 20;
@@ -99,6 +114,24 @@ class UiServer extends HomebridgePluginUiServer {
     return cameras;
   }
 
+  // live stream health of the HomeKit sessions, stored by the plugin while streams are running
+  async getStreamStatistics(cameraName) {
+    const statistics = (await fs.readJSON(`${this.homebridgeStoragePath}/camera.ui/stream-statistics.json`, {
+      throws: false,
+    })) || { cameras: {} };
+
+    if (cameraName) {
+      return {
+        timestamp: statistics.timestamp,
+        cameras: {
+          [cameraName]: statistics.cameras[cameraName] || [],
+        },
+      };
+    }
+
+    return statistics;
+  }
+
   startStream(cameraName) {
     return new Promise((resolve, reject) => {
       if (!cameraName) return;
@@ -134,7 +167,11 @@ class UiServer extends HomebridgePluginUiServer {
       ];
 
       console.log(
-        `${cameraName}: Stream command: ${streams[cameraName].ffmpegPath} ${spawnOptions.toString().replace(/,/g, ' ')}`
+        Logger.redact(
+          `${cameraName}: Stream command: ${streams[cameraName].ffmpegPath} ${spawnOptions
+            .toString()
+            .replace(/,/g, ' ')}`
+        )
       );
 
       streams[cameraName].stream = child_process.spawn(streams[cameraName].ffmpegPath, spawnOptions, {
@@ -154,7 +191,7 @@ class UiServer extends HomebridgePluginUiServer {
 
         if (code === 1) {
           errors.unshift(`RTSP stream exited with error! (${signal})`);
-          reject(new RequestError(`${cameraName}: ${errors.join(' - ')}`));
+          reject(new RequestError(Logger.redact(`${cameraName}: ${errors.join(' - ')}`)));
         } else {
           console.log(`${cameraName}: Stream Exit (expected)`);
           resolve();
@@ -191,7 +228,7 @@ class UiServer extends HomebridgePluginUiServer {
 
       const arguments_ = ['-analyzeduration', '0', '-probesize', '5000', ...source.split(/\s+/)];
 
-      console.log(`${cameraName}: Probe stream: ${videoProcessor} ${arguments_.join(' ')}`);
+      console.log(Logger.redact(`${cameraName}: Probe stream: ${videoProcessor} ${arguments_.join(' ')}`));
 
       let cp = child_process.spawn(videoProcessor, arguments_, {
         env: process.env,
@@ -5,11 +5,52 @@ import { ConfigSetup } from 'camera.ui/src/services/config/config.defaults.js';
 
 import Logger from '../logger/logger.service.js';
 
+// stderr output of interrupted (not misconfigured) live streams
+const defaultRetryPatterns = [
+  'Connection refused',
+  'Connection reset by peer',
+  'Connection timed out',
+  'Operation timed out',
+  'No route to host',
+  'Broken pipe',
+  'End of file',
+  'Invalid data found when processing input',
+  'Server returned 5\\d\\d',
+  'method \\w+ failed: 5\\d\\d',
+];
+
 export default class Config {
   constructor(config = {}) {
     this.log = Logger.log;
 
+    // ConfigSetup only keeps the options known to camera.ui
+    const options = config.options || {};
+    const archive = config.archive || {};
+    const mqtt = config.mqtt || {};
+
     config = new ConfigSetup(config);
+
+    // process budget shared by all cameras (0 = unlimited)
+    config.options.maxProcesses = options.maxProcesses >= 0 ? options.maxProcesses : 0;
+    config.options.maxStreamProcesses = options.maxStreamProcesses >= 0 ? options.maxStreamProcesses : 0;
+    config.options.maxSnapshotProcesses = options.maxSnapshotProcesses >= 0 ? options.maxSnapshotProcesses : 0;
+
+    // retained state topics: <topicPrefix>/<camera>/<type>
+    config.mqtt.topicPrefix = typeof mqtt.topicPrefix === 'string' && mqtt.topicPrefix ? mqtt.topicPrefix : 'camera.ui';
+
+    // Home Assistant MQTT discovery
+    config.mqtt.homeAssistant = mqtt.homeAssistant === true;
+    config.mqtt.discoveryPrefix =
+      typeof mqtt.discoveryPrefix === 'string' && mqtt.discoveryPrefix ? mqtt.discoveryPrefix : 'homeassistant';
+
+    // local copy of all HKSV recordings (maxAge in days, maxSize in MB, 0 = unlimited)
+    config.archive = {
+      active: archive.active === true,
+      path: archive.path || undefined,
+      maxAge: archive.maxAge >= 0 ? archive.maxAge : 30,
+      maxSize: archive.maxSize >= 0 ? archive.maxSize : 0,
+    };
+
     config.cameras = config.cameras
       .map((camera) => {
         if (!camera.name) {
@@ -52,11 +93,75 @@ export default class Config {
           camera.videoConfig.subSource = camera.videoConfig.source;
         }
 
+        // HomeKit requests up to this size/bitrate are served from the substream
+        camera.videoConfig.subSourceMaxWidth =
+          camera.videoConfig.subSourceMaxWidth >= 0 ? camera.videoConfig.subSourceMaxWidth : 640;
+        camera.videoConfig.subSourceMaxHeight =
+          camera.videoConfig.subSourceMaxHeight >= 0 ? camera.videoConfig.subSourceMaxHeight : 480;
+        camera.videoConfig.subSourceMaxBitrate =
+          camera.videoConfig.subSourceMaxBitrate >= 0 ? camera.videoConfig.subSourceMaxBitrate : 150;
+        camera.videoConfig.sharedStream = camera.videoConfig.sharedStream === true;
+
+        // restart policy for interrupted live streams
+        camera.videoConfig.retryAttempts = camera.videoConfig.retryAttempts >= 0 ? camera.videoConfig.retryAttempts : 3;
+        camera.videoConfig.retryDelay = camera.videoConfig.retryDelay > 0 ? camera.videoConfig.retryDelay : 1;
+        camera.videoConfig.retryExitCodes = Array.isArray(camera.videoConfig.retryExitCodes)
+          ? camera.videoConfig.retryExitCodes.filter((code) => Number.isInteger(code))
+          : [];
+        camera.videoConfig.retryPatterns = (
+          Array.isArray(camera.videoConfig.retryPatterns) ? camera.videoConfig.retryPatterns : defaultRetryPatterns
+        ).filter((pattern) => {
+          try {
+            new RegExp(pattern, 'i');
+            return true;
+          } catch {
+            this.log.warn(`Invalid retry pattern "${pattern}", it will be ignored.`, camera.name);
+            return false;
+          }
+        });
+
+        // stall detection for ffmpeg pipelines (0 disables the watchdog)
+        camera.videoConfig.watchdogTimeout =
+          camera.videoConfig.watchdogTimeout >= 0 ? camera.videoConfig.watchdogTimeout : 20;
+        camera.videoConfig.watchdogMinSpeed =
+          camera.videoConfig.watchdogMinSpeed >= 0 ? camera.videoConfig.watchdogMinSpeed : 0.5;
+
         camera.motionTimeout =
           camera.motionTimeout === undefined || !(camera.motionTimeout >= 0) ? 15 : camera.motionTimeout;
 
+        // occupancy is only reset by the timeout (camera.ui has no person/object reset event)
+        camera.occupancyTimeout = camera.occupancyTimeout >= 1 ? camera.occupancyTimeout : 30;
+
+        camera.snapshotCacheTTL =
+          camera.snapshotCacheTTL === undefined || !(camera.snapshotCacheTTL >= 0) ? 10 : camera.snapshotCacheTTL;
+
+        camera.snapshotRefreshInterval =
+          camera.snapshotRefreshInterval >= 10
+            ? camera.snapshotRefreshInterval
+            : camera.snapshotRefreshInterval > 0
+            ? 10
+            : 0;
+
+        // seconds recorded after motion stopped (HKSV)
+        if (camera.hksvConfig) {
+          camera.hksvConfig.postRoll = camera.hksvConfig.postRoll > 0 ? Math.min(camera.hksvConfig.postRoll, 30) : 0;
+        }
+
         camera.motionDelay = camera.motionDelay && camera.motionDelay <= 10 ? camera.motionDelay : undefined;
 
+        // motion is confirmed after motionDelay seconds or motionTriggers events within motionTriggerWindow seconds
+        camera.motionTriggers = camera.motionTriggers > 1 ? camera.motionTriggers : 1;
+        camera.motionTriggerWindow = camera.motionTriggerWindow > 0 ? camera.motionTriggerWindow : 30;
+
+        // motion storm protection (cooldown in seconds, flap window and mute in minutes, 0 = disabled)
+        camera.motionCooldown = camera.motionCooldown > 0 ? camera.motionCooldown : 0;
+        camera.motionFlapEvents = camera.motionFlapEvents > 0 ? camera.motionFlapEvents : 0;
+        camera.motionFlapWindow = camera.motionFlapWindow > 0 ? camera.motionFlapWindow : 10;
+        camera.motionFlapMute = camera.motionFlapMute > 0 ? camera.motionFlapMute : 15;
+
+        // plugin prebuffer for HKSV if camera.ui is not prebuffering
+        camera.prebufferFallback = camera.prebufferFallback !== false;
+
         // validate prebufferLength
         camera.prebufferLength =
           camera.prebufferLength >= 4 && camera.prebufferLength <= 8 ? camera.prebufferLength : 4;
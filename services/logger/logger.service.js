@@ -2,6 +2,18 @@
 
 import LoggerService from 'camera.ui/src/services/logger/logger.service.js';
 
+// credentials in source urls, http headers, query parameters and srtp keys of ffmpeg command lines
+const redactions = [
+  [/(\b[a-z][\d+.a-z-]*:\/\/)[^\s/@]*(?:@[^\s/@]*)*@/gi, '$1***:***@'],
+  [/(authorization:\s*(?:basic|bearer|digest)?\s*)[^\s"'\\]+/gi, '$1***'],
+  [
+    /([&?](?:user|username|password|passwd|pwd|pass|token|access_token|auth|authkey|apikey|api_key|key|secret|signature|sig)=)[^\s"&']+/gi,
+    '$1***',
+  ],
+  [/(-srtp_out_params\s+)\S+/g, '$1***'],
+  [/(a=crypto:\d+ \w+ inline:)\S+/g, '$1***'],
+];
+
 const LogLevel = {
   INFO: 'info',
   WARN: 'warn',
@@ -19,6 +31,18 @@ export default class Logger {
 
   static log;
 
+  static redact(message) {
+    if (typeof message !== 'string') {
+      return message;
+    }
+
+    for (const [pattern, replacement] of redactions) {
+      message = message.replace(pattern, replacement);
+    }
+
+    return message;
+  }
+
   constructor(logger, logLevel) {
     if (logger) {
       Logger.#logger = logger;
@@ -41,6 +65,12 @@ export default class Logger {
       return;
     }
 
+    if (message instanceof Error) {
+      message.message = Logger.redact(message.message);
+    } else {
+      message = Logger.redact(message);
+    }
+
     let origMessage = message;
     let formattedMessage = LoggerService.formatMessage(message, accessoryName, level);
 
@@ -1,6 +1,7 @@
 'use-strict';
 
 import { createSocket } from 'dgram';
+import { randomInt } from 'crypto';
 import { fileURLToPath } from 'url';
 import fs from 'fs-extra';
 import path from 'path';
@@ -10,8 +11,16 @@ import * as cameraUtils from 'camera.ui/src/controller/camera/utils/camera.utils
 
 import Logger from '../../services/logger/logger.service.js';
 
+import DiagnosticsService from '../services/diagnostics.service.js';
 import FfmpegProcess from '../services/ffmpeg.service.js';
+import StreamMultiplexer from '../services/multiplexer.service.js';
+import SrtpSession from '../services/srtp.service.js';
+import StreamStatistics from '../services/stats.service.js';
 import RecordingDelegate from '../services/recording.service.js';
+import RollingPrebuffer from '../services/prebuffer.service.js';
+import SnapshotService from '../services/snapshot.service.js';
+import ProcessScheduler from '../services/scheduler.service.js';
+import FfmpegWatchdog from '../services/watchdog.service.js';
 
 import Ping from 'camera.ui/src/common/ping.js';
 
@@ -25,6 +34,26 @@ const privacyImage = path.resolve(__dirname, '..', 'thumbs', 'privacy_cameraui.p
 const offlineImageInBytes = fs.readFileSync(offlineImage);
 const privacyImageInBytes = fs.readFileSync(privacyImage);
 
+// native sessions start with a known sequence number, see getContinuation
+const srtpArguments = (srtp, sequence) =>
+  srtp
+    ? ['-srtp_out_suite', 'AES_CM_128_HMAC_SHA1_80', '-srtp_out_params', srtp.toString('base64'), '-seq', sequence]
+    : [];
+
+const supportedResolutions = [
+  [320, 180, 30],
+  [320, 240, 15],
+  [320, 240, 30],
+  [480, 270, 30],
+  [480, 360, 30],
+  [640, 360, 30],
+  [640, 480, 30],
+  [1280, 720, 30],
+  [1280, 960, 30],
+  [1920, 1080, 30],
+  [1600, 1200, 30],
+];
+
 export default class CameraDelegate {
   constructor(api, accessory, config, cameraUi, handler) {
     this.api = api;
@@ -41,9 +70,35 @@ export default class CameraDelegate {
 
     this.pendingSessions = new Map();
     this.ongoingSessions = new Map();
+    this.sharedStreams = new Map();
     this.timeouts = new Map();
 
+    this.snapshotCache = new SnapshotService(this.accessory.displayName, `${this.api.user.storagePath()}/camera.ui`);
+    this.resizedSnapshots = new Map();
+
+    if (this.accessory.context.config.snapshotRefreshInterval > 0) {
+      this.snapshotRefreshTimer = setInterval(
+        () => this.refreshSnapshot(),
+        this.accessory.context.config.snapshotRefreshInterval * 1000
+      );
+    }
+
     const recordingCodecs = [];
+    const streamingCodecs = [];
+
+    this.audioCodec = this.determineAudioCodec();
+
+    if (this.audioCodec === this.api.hap.AudioStreamingCodecType.OPUS) {
+      streamingCodecs.push({
+        type: this.api.hap.AudioStreamingCodecType.OPUS,
+        samplerate: [this.api.hap.AudioStreamingSamplerate.KHZ_16, this.api.hap.AudioStreamingSamplerate.KHZ_24],
+      });
+    } else {
+      streamingCodecs.push({
+        type: this.api.hap.AudioStreamingCodecType.AAC_ELD,
+        samplerate: this.api.hap.AudioStreamingSamplerate.KHZ_16,
+      });
+    }
 
     if (this.accessory.context.config.hsv && !this.api.versionGreaterOrEqual('1.4.0')) {
       this.log.warn(
@@ -57,13 +112,24 @@ export default class CameraDelegate {
     if (this.accessory.context.config.hsv) {
       this.log.debug('Initializing HomeKit Secure Video', this.accessory.displayName);
 
-      const samplerate = [];
+      const samplerate = [
+        this.api.hap.AudioRecordingSamplerate.KHZ_16,
+        this.api.hap.AudioRecordingSamplerate.KHZ_24,
+        this.api.hap.AudioRecordingSamplerate.KHZ_32,
+        this.api.hap.AudioRecordingSamplerate.KHZ_44_1,
+        this.api.hap.AudioRecordingSamplerate.KHZ_48,
+      ];
+
+      const recordingCodecTypes = [this.api.hap.AudioRecordingCodecType.AAC_LC];
 
-      for (const sr of [this.api.hap.AudioRecordingSamplerate.KHZ_32]) {
-        samplerate.push(sr);
+      // AAC-ELD can only be encoded with libfdk_aac (assumed to be available if the encoders are unknown)
+      const encoders = FfmpegProcess.getEncoders(this.config.options.videoProcessor);
+
+      if (encoders.length === 0 || encoders.includes('libfdk_aac')) {
+        recordingCodecTypes.push(this.api.hap.AudioRecordingCodecType.AAC_ELD);
       }
 
-      for (const type of [this.api.hap.AudioRecordingCodecType.AAC_LC]) {
+      for (const type of recordingCodecTypes) {
         const entry = {
           type,
           bitrateMode: 0,
@@ -74,7 +140,24 @@ export default class CameraDelegate {
         recordingCodecs.push(entry);
       }
 
-      this.recordingDelegate = new RecordingDelegate(this.api, this.accessory, config, cameraUi, handler);
+      // fallback if camera.ui is not prebuffering, started by the recording delegate if required
+      if (this.accessory.context.config.prebufferFallback) {
+        this.prebuffer = new RollingPrebuffer(
+          this.accessory.displayName,
+          this.accessory.context.config,
+          this.config.options.videoProcessor,
+          cameraUi
+        );
+      }
+
+      this.recordingDelegate = new RecordingDelegate(
+        this.api,
+        this.accessory,
+        config,
+        cameraUi,
+        handler,
+        this.prebuffer
+      );
     }
 
     this.controller = new this.api.hap.CameraController({
@@ -83,19 +166,7 @@ export default class CameraDelegate {
       streamingOptions: {
         supportedCryptoSuites: [this.api.hap.SRTPCryptoSuites.AES_CM_128_HMAC_SHA1_80],
         video: {
-          resolutions: [
-            [320, 180, 30],
-            [320, 240, 15],
-            [320, 240, 30],
-            [480, 270, 30],
-            [480, 360, 30],
-            [640, 360, 30],
-            [640, 480, 30],
-            [1280, 720, 30],
-            [1280, 960, 30],
-            [1920, 1080, 30],
-            [1600, 1200, 30],
-          ],
+          resolutions: this.generateStreamingResolutions(),
           codec: {
             profiles: [this.api.hap.H264Profile.BASELINE, this.api.hap.H264Profile.MAIN, this.api.hap.H264Profile.HIGH],
             levels: [this.api.hap.H264Level.LEVEL3_1, this.api.hap.H264Level.LEVEL3_2, this.api.hap.H264Level.LEVEL4_0],
@@ -103,14 +174,7 @@ export default class CameraDelegate {
         },
         audio: {
           twoWayAudio: !!this.accessory.context.config.videoConfig.returnAudioTarget,
-          codecs: [
-            {
-              type: this.api.hap.AudioStreamingCodecType.AAC_ELD,
-              samplerate: this.api.hap.AudioStreamingSamplerate.KHZ_16,
-              /*type: AudioStreamingCodecType.OPUS,
-              samplerate: AudioStreamingSamplerate.KHZ_24*/
-            },
-          ],
+          codecs: streamingCodecs,
         },
       },
       recording: this.accessory.context.config.hsv
@@ -141,19 +205,7 @@ export default class CameraDelegate {
                     this.api.hap.H264Level.LEVEL4_0,
                   ],
                 },
-                resolutions: [
-                  [320, 180, 30],
-                  [320, 240, 15],
-                  [320, 240, 30],
-                  [480, 270, 30],
-                  [480, 360, 30],
-                  [640, 360, 30],
-                  [640, 480, 30],
-                  [1280, 720, 30],
-                  [1280, 960, 30],
-                  [1920, 1080, 30],
-                  [1600, 1200, 30],
-                ],
+                resolutions: this.generateRecordingResolutions(),
               },
               audio: {
                 codecs: recordingCodecs,
@@ -165,18 +217,244 @@ export default class CameraDelegate {
       sensors: this.accessory.context.config.hsv
         ? {
             motion: this.accessory.getServiceById(this.api.hap.Service.MotionSensor, 'motion') || true,
-            occupancy: this.accessory.getServiceById(this.api.hap.Service.OccupancySensor, 'occupancy') || false, //not implemented yet
+            occupancy: this.accessory.getServiceById(this.api.hap.Service.OccupancySensor, 'occupancy') || false,
           }
         : undefined,
     });
 
     this.api.on('shutdown', () => {
+      if (this.snapshotRefreshTimer) {
+        clearInterval(this.snapshotRefreshTimer);
+      }
+
       for (const session in this.ongoingSessions) {
         this.stopStream(session);
       }
+
+      this.recordingDelegate?.stopPrebufferFallback();
+      this.snapshotCache.close();
     });
   }
 
+  getSourceResolution() {
+    const controller = this.cameraUi.cameraController?.get(this.accessory.displayName);
+    const probedVideo = controller?.media?.codecs?.video || [];
+
+    for (const value of probedVideo) {
+      const match = /^(\d{2,5})x(\d{2,5})/.exec(value.trim());
+
+      if (match) {
+        this.accessory.context.sourceResolution = {
+          width: Number.parseInt(match[1]),
+          height: Number.parseInt(match[2]),
+        };
+
+        break;
+      }
+    }
+
+    // if the stream was not probed yet, the resolution of the last probe is used
+    return this.accessory.context.sourceResolution;
+  }
+
+  // called after camera.ui probed the stream, the accessory is usually built before
+  checkSourceResolution() {
+    const sourceResolution = this.getSourceResolution();
+
+    if (
+      !sourceResolution ||
+      (sourceResolution.width === this.sourceResolution?.width &&
+        sourceResolution.height === this.sourceResolution?.height)
+    ) {
+      return;
+    }
+
+    this.sourceResolution = sourceResolution;
+
+    this.log.debug(
+      `Detected source resolution ${sourceResolution.width}x${sourceResolution.height}, updating the resolutions advertised to HomeKit`,
+      this.accessory.displayName
+    );
+
+    this.updateResolutions();
+
+    if (!this.accessory.context.config.unbridge) {
+      this.api.updatePlatformAccessories([this.accessory]);
+    }
+  }
+
+  // HAP only encodes the resolutions when the controller is created and has no public api to change them,
+  // the encoded values are replaced if the HAP internals are as expected (hap-nodejs 0.10)
+  updateResolutions() {
+    const { Characteristic, RTPStreamManagement } = this.api.hap;
+
+    const streamingVideo = this.controller.streamingOptions?.video;
+    const streamManagements = this.controller.streamManagements;
+
+    const recordingManagement = this.controller.recordingManagement;
+    const recordingVideo = this.controller.recording?.options?.video;
+
+    const streamingSupported =
+      typeof RTPStreamManagement?._supportedVideoStreamConfiguration === 'function' &&
+      Array.isArray(streamManagements) &&
+      streamManagements.every(
+        (management) =>
+          management?.supportedVideoStreamConfiguration !== undefined && typeof management.getService === 'function'
+      );
+
+    const recordingSupported =
+      !recordingVideo ||
+      (typeof recordingManagement?._supportedVideoRecordingConfiguration === 'function' &&
+        recordingManagement.supportedVideoRecordingConfiguration !== undefined &&
+        recordingManagement.recordingManagementService);
+
+    // the probed resolution is only cached for bridged accessories
+    const fallback = this.accessory.context.config.unbridge
+      ? 'please define the resolutions in the config'
+      : 'they will be updated after a restart';
+
+    if (!streamingVideo || !streamingSupported || !recordingSupported) {
+      this.log.info(`Can not update the resolutions advertised to HomeKit, ${fallback}.`, this.accessory.displayName);
+
+      return;
+    }
+
+    try {
+      const streamingResolutions = this.generateStreamingResolutions();
+      const streamingConfiguration = RTPStreamManagement._supportedVideoStreamConfiguration({
+        ...streamingVideo,
+        resolutions: streamingResolutions,
+      });
+
+      let recordingResolutions;
+      let recordingConfiguration;
+
+      if (recordingVideo) {
+        recordingResolutions = this.generateRecordingResolutions();
+        recordingConfiguration = recordingManagement._supportedVideoRecordingConfiguration({
+          ...recordingVideo,
+          resolutions: recordingResolutions,
+        });
+      }
+
+      streamingVideo.resolutions = streamingResolutions;
+
+      for (const management of streamManagements) {
+        management.supportedVideoStreamConfiguration = streamingConfiguration;
+        management
+          .getService()
+          .updateCharacteristic(Characteristic.SupportedVideoStreamConfiguration, streamingConfiguration);
+      }
+
+      if (recordingVideo) {
+        recordingVideo.resolutions = recordingResolutions;
+
+        recordingManagement.supportedVideoRecordingConfiguration = recordingConfiguration;
+        recordingManagement.recordingManagementService.updateCharacteristic(
+          Characteristic.SupportedVideoRecordingConfiguration,
+          recordingConfiguration
+        );
+      }
+    } catch (error) {
+      this.log.info(
+        `Can not update the resolutions advertised to HomeKit, ${fallback}: ${error.message}`,
+        this.accessory.displayName
+      );
+    }
+  }
+
+  parseResolutions(resolutions = []) {
+    return resolutions
+      .map((resolution) => /^(\d+)x(\d+)(?:@(\d+))?$/.exec(`${resolution}`.trim()))
+      .filter(Boolean)
+      .map((match) => [Number.parseInt(match[1]), Number.parseInt(match[2]), Number.parseInt(match[3] || 30)]);
+  }
+
+  generateStreamingResolutions() {
+    const videoConfig = this.accessory.context.config.videoConfig;
+    return this.generateResolutions(videoConfig.maxWidth, videoConfig.maxHeight, videoConfig.resolutions);
+  }
+
+  generateRecordingResolutions() {
+    const hksvConfig = this.accessory.context.config.hksvConfig || {};
+    return this.generateResolutions(hksvConfig.maxWidth, hksvConfig.maxHeight, hksvConfig.resolutions);
+  }
+
+  generateResolutions(maxWidth, maxHeight, resolutions) {
+    const customResolutions = this.parseResolutions(resolutions);
+    this.sourceResolution = this.sourceResolution || this.getSourceResolution();
+
+    if (customResolutions.length > 0) {
+      return customResolutions;
+    }
+
+    const source = this.sourceResolution;
+    const limitWidth = Math.min(...[source?.width, maxWidth].filter((value) => value > 0));
+    const limitHeight = Math.min(...[source?.height, maxHeight].filter((value) => value > 0));
+
+    const fittingResolutions = supportedResolutions.filter(
+      ([width, height]) => width <= limitWidth && height <= limitHeight
+    );
+
+    // keep only the aspect ratio of the source to avoid letterboxing
+    const matchingResolutions = source
+      ? fittingResolutions.filter(([width, height]) => Math.abs(width / height - source.width / source.height) < 0.05)
+      : fittingResolutions;
+
+    if (matchingResolutions.length > 0) {
+      return matchingResolutions;
+    }
+
+    if (fittingResolutions.length > 0) {
+      return fittingResolutions;
+    }
+
+    this.log.debug('No supported resolution fits the source, advertising all resolutions', this.accessory.displayName);
+
+    return supportedResolutions;
+  }
+
+  determineAudioCodec() {
+    const codec = this.accessory.context.config.videoConfig.audioStreamCodec || 'auto';
+    const encoders = FfmpegProcess.getEncoders(this.config.options.videoProcessor);
+
+    const aacEld = this.api.hap.AudioStreamingCodecType.AAC_ELD;
+    const opus = this.api.hap.AudioStreamingCodecType.OPUS;
+
+    if (encoders.length === 0) {
+      // encoders could not be determined, keep the previous default
+      return codec === 'opus' ? opus : aacEld;
+    }
+
+    const fdkAacAvailable = encoders.includes('libfdk_aac');
+    const opusAvailable = encoders.includes('libopus');
+
+    switch (codec) {
+      case 'aac-eld':
+        if (!fdkAacAvailable && opusAvailable) {
+          this.log.warn(
+            'AAC-ELD selected as audio codec, but the video processor does not provide "libfdk_aac". Using Opus instead.',
+            this.accessory.displayName,
+            'Homebridge'
+          );
+          return opus;
+        }
+        return aacEld;
+      case 'opus':
+        if (!opusAvailable && fdkAacAvailable) {
+          this.log.warn(
+            'Opus selected as audio codec, but the video processor does not provide "libopus". Using AAC-ELD instead.',
+            this.accessory.displayName,
+            'Homebridge'
+          );
+          return aacEld;
+        }
+        return opus;
+      default:
+        return fdkAacAvailable || !opusAvailable ? aacEld : opus;
+    }
+  }
+
   //https://github.com/homebridge/camera-utils/blob/master/src/ports.ts
   async reservePorts(count = 1, type = 'udp', attemptNumber) {
     if (attemptNumber > 100) {
@@ -265,25 +543,71 @@ export default class CameraDelegate {
     return resultInfo;
   }
 
-  fetchSnapshot(snapFilter) {
-    // eslint-disable-next-line no-async-promise-executor, no-unused-vars
-    this.snapshotPromise = new Promise(async (resolve, reject) => {
-      const atHome = await this.getPrivacyState();
+  useSubSource(request, isSnapshot) {
+    const videoConfig = this.accessory.context.config.videoConfig;
 
-      if (atHome) {
-        this.snapshotPromise = undefined;
-        return resolve(privacyImageInBytes);
+    if (!videoConfig.subSource || videoConfig.subSource === videoConfig.source) {
+      return false;
+    }
+
+    if (isSnapshot && videoConfig.stillImageSource !== videoConfig.source) {
+      // a dedicated still image source is always preferred
+      return false;
+    }
+
+    const smallResolution =
+      request.width > 0 &&
+      request.height > 0 &&
+      request.width <= videoConfig.subSourceMaxWidth &&
+      request.height <= videoConfig.subSourceMaxHeight;
+
+    const lowBitrate =
+      !isSnapshot && videoConfig.subSourceMaxBitrate > 0 && request.max_bit_rate <= videoConfig.subSourceMaxBitrate;
+
+    return smallResolution || lowBitrate;
+  }
+
+  fetchSnapshot(snapFilter, subSource, background) {
+    // a running substream fetch is only good enough for small requests
+    if (this.snapshotPromise && (!this.snapshotSubSource || subSource)) {
+      return this.snapshotPromise;
+    }
+
+    const controller = this.cameraUi.cameraController?.get(this.accessory.displayName);
+    const usePrebuffer = !subSource && this.accessory.context.config.prebuffering && controller?.prebuffer;
+    const keyframe = usePrebuffer ? this.getPrebufferKeyframe(controller.prebuffer) : undefined;
+
+    if (keyframe) {
+      const cached = this.snapshotCache.get();
+
+      // the prebuffer has not received a new keyframe since the last snapshot
+      if (cached?.metadata.keyframe === keyframe.time) {
+        return Promise.resolve(cached.snapshot);
       }
+    }
+
+    this.snapshotSubSource = subSource;
 
-      let input = this.accessory.context.config.videoConfig.stillImageSource.split(/\s+/);
+    // eslint-disable-next-line no-async-promise-executor, no-unused-vars
+    this.snapshotPromise = new Promise(async (resolve, reject) => {
+      let source = subSource ? 'subSource' : 'stillImageSource';
+      let input = subSource
+        ? this.accessory.context.config.videoConfig.subSource.split(/\s+/)
+        : this.accessory.context.config.videoConfig.stillImageSource.split(/\s+/);
       const startTime = Date.now();
-      const controller = this.cameraUi.cameraController.get(this.accessory.displayName);
+      const logLevel = background ? 'debug' : 'error';
 
-      if (this.accessory.context.config.prebuffering && controller?.prebuffer) {
-        try {
-          input = await controller.prebuffer.getVideo();
-        } catch {
-          // ignore
+      if (usePrebuffer) {
+        if (keyframe) {
+          input = ['-f', 'mp4', '-i', 'pipe:'];
+          source = 'keyframe';
+        } else {
+          try {
+            input = await controller.prebuffer.getVideo();
+            source = 'prebuffer';
+          } catch {
+            // ignore
+          }
         }
       }
 
@@ -300,7 +624,24 @@ export default class CameraDelegate {
         this.accessory.displayName
       );
 
-      const ffmpeg = spawn(this.config.options.videoProcessor, ffmpegArguments, {
+      let release;
+      let ffmpeg;
+
+      try {
+        // a snapshot gives way to recordings and live streams, the cached one is sent instead
+        release = await ProcessScheduler.acquire('snapshot', this.accessory.displayName, () => ffmpeg?.kill('SIGKILL'));
+      } catch (error) {
+        this.log[background ? 'debug' : 'warn'](
+          `Skipping snapshot: ${error.message}`,
+          this.accessory.displayName,
+          'Homebridge'
+        );
+
+        this.snapshotPromise = undefined;
+        return resolve();
+      }
+
+      ffmpeg = spawn(this.config.options.videoProcessor, ffmpegArguments, {
         env: process.env,
       });
 
@@ -308,17 +649,29 @@ export default class CameraDelegate {
 
       let snapshotBuffer = Buffer.alloc(0);
 
+      // a snapshot process has no progress output, it stalls if no image arrives in time
+      const watchdog = new FfmpegWatchdog({
+        ...this.getWatchdogOptions(),
+        onStall: (reason) => {
+          this.log[logLevel](`Snapshot process stalled: ${reason}. Killing process.`, this.accessory.displayName);
+          ffmpeg.kill('SIGKILL');
+        },
+      });
+
       ffmpeg.stdout.on('data', (data) => {
+        watchdog.touch();
         snapshotBuffer = Buffer.concat([snapshotBuffer, data]);
       });
 
       ffmpeg.on('error', (error) => {
-        this.log.error(
-          `FFmpeg process creation failed: ${error.message} - Showing "offline" image instead.`,
-          this.accessory.displayName
-        );
-        resolve(offlineImageInBytes);
+        this.log[logLevel](`FFmpeg process creation failed: ${error.message}`, this.accessory.displayName);
+        this.reportFailure('snapshot', [error.message], undefined, logLevel);
+
+        watchdog.stop();
+        release();
+
         this.snapshotPromise = undefined;
+        resolve();
       });
 
       ffmpeg.stderr.on('data', (data) => {
@@ -326,29 +679,48 @@ export default class CameraDelegate {
         errors.push(data.toString().replace(/(\r\n|\n|\r)/gm, ' '));
       });
 
-      ffmpeg.on('close', () => {
-        if (snapshotBuffer.length > 0) {
-          resolve(snapshotBuffer);
-        } else {
-          this.log.error('Failed to fetch snapshot. Showing "offline" image instead.', this.accessory.displayName);
+      if (keyframe) {
+        // ffmpeg closes stdin as soon as the first frame is decoded
+        ffmpeg.stdin.on('error', () => {});
+        ffmpeg.stdin.end(keyframe.buffer);
+      }
+
+      ffmpeg.on('close', (code) => {
+        watchdog.stop();
+        release();
+
+        this.snapshotPromise = undefined;
+
+        if (snapshotBuffer.length === 0) {
+          this.log[logLevel]('Failed to fetch snapshot.', this.accessory.displayName);
+
+          const failure = this.reportFailure('snapshot', errors, code, logLevel);
 
           if (errors.length > 0) {
-            this.log.error(errors.join(' - '), this.accessory.displayName, 'Homebridge');
+            this.log[failure ? 'debug' : logLevel](errors.join(' - '), this.accessory.displayName, 'Homebridge');
           }
 
-          this.snapshotPromise = undefined;
-          return resolve(offlineImageInBytes);
+          return resolve();
         }
 
-        setTimeout(() => {
-          this.snapshotPromise = undefined;
-        }, 5 * 1000); // Expire cached snapshot after 5 seconds
+        this.clearFailure('snapshot');
 
         const runtime = (Date.now() - startTime) / 1000;
 
+        this.snapshotCache.set(snapshotBuffer, {
+          source: source,
+          subSource: Boolean(subSource),
+          duration: Date.now() - startTime,
+          keyframe: keyframe?.time,
+        });
+
+        this.handler.discovery.publishSnapshot(this.accessory.displayName, snapshotBuffer);
+
+        resolve(snapshotBuffer);
+
         let message = `Fetching snapshot took ${runtime} seconds.`;
 
-        if (runtime < 5) {
+        if (runtime < 5 || background) {
           this.log.debug(message, this.accessory.displayName);
         } else {
           if (!this.accessory.context.config.unbridge) {
@@ -368,15 +740,153 @@ export default class CameraDelegate {
     return this.snapshotPromise;
   }
 
-  resizeSnapshot(snapshot, resizeFilter) {
-    return new Promise((resolve, reject) => {
-      const ffmpegArguments = ['-i', 'pipe:', '-frames:v', '1'];
+  // classifies FFmpeg output and keeps the failure as camera state (source: stream, snapshot or recording)
+  reportFailure(source, output, exitCode, logLevel = 'error') {
+    const failure = DiagnosticsService.report(
+      `${this.api.user.storagePath()}/camera.ui`,
+      this.accessory.displayName,
+      source,
+      output,
+      exitCode
+    );
+
+    if (failure) {
+      this.log[logLevel](`${failure.hint} (${failure.code})`, this.accessory.displayName, 'Homebridge');
+    }
+
+    return failure;
+  }
+
+  clearFailure(source) {
+    DiagnosticsService.clear(`${this.api.user.storagePath()}/camera.ui`, this.accessory.displayName, source);
+  }
+
+  getFailure() {
+    return DiagnosticsService.get(this.accessory.displayName);
+  }
+
+  getWatchdogOptions() {
+    const videoConfig = this.accessory.context.config.videoConfig;
 
-      if (resizeFilter) {
-        ffmpegArguments.push('-filter:v', ...resizeFilter.split(/\s+/));
+    return {
+      timeout: videoConfig.watchdogTimeout,
+      minSpeed: videoConfig.watchdogMinSpeed,
+    };
+  }
+
+  getPrebufferKeyframe(prebuffer) {
+    if (!prebuffer.prebufferSession) {
+      return;
+    }
+
+    // the prebuffer fragments at keyframes, so the latest complete moof/mdat pair starts with one
+    const fragments = prebuffer.prebuffers.mp4;
+
+    for (let index = fragments.length - 1; index > 0; index--) {
+      const mdat = fragments[index];
+      const moof = fragments[index - 1];
+
+      if (mdat.chunk.type === 'mdat' && moof.chunk.type === 'moof' && mdat.chunk.startStream) {
+        return {
+          time: moof.time,
+          buffer: Buffer.concat([mdat.chunk.startStream, ...moof.chunk.chunks, ...mdat.chunk.chunks]),
+        };
       }
+    }
+  }
 
-      ffmpegArguments.push('-f', 'image2', '-');
+  async refreshSnapshot() {
+    if (this.snapshotPromise || (await this.getPrivacyState())) {
+      return;
+    }
+
+    const resolution = this.determineResolution({}, true);
+
+    await this.fetchSnapshot(resolution.snapFilter, false, true);
+  }
+
+  async getSnapshot(snapFilter, subSource) {
+    if (await this.getPrivacyState()) {
+      return {
+        snapshot: privacyImageInBytes,
+      };
+    }
+
+    const cached = this.snapshotCache.get();
+
+    // a cached substream snapshot is only good enough for small requests
+    if (cached && (!cached.metadata.subSource || subSource)) {
+      if (cached.metadata.age >= this.accessory.context.config.snapshotCacheTTL) {
+        // send the last good snapshot immediately and refresh it in the background
+        this.fetchSnapshot(snapFilter, cached.metadata.subSource, true);
+      }
+
+      return cached;
+    }
+
+    // any cached snapshot is better than waiting for a free process slot
+    if (cached && !ProcessScheduler.isAvailable('snapshot')) {
+      this.fetchSnapshot(snapFilter, subSource, true);
+
+      return cached;
+    }
+
+    const snapshot = await this.fetchSnapshot(snapFilter, subSource);
+
+    if (snapshot) {
+      return {
+        snapshot: snapshot,
+      };
+    }
+
+    if (cached) {
+      return cached;
+    }
+
+    this.log.error('Showing "offline" image instead.', this.accessory.displayName);
+
+    return {
+      snapshot: offlineImageInBytes,
+    };
+  }
+
+  async resizeSnapshot(snapshot, resizeFilter) {
+    // HomeKit scales an oversized snapshot itself, resizing is not worth waiting for a free process slot
+    if (!resizeFilter || !ProcessScheduler.isAvailable('snapshot')) {
+      return snapshot;
+    }
+
+    // several tiles usually request the same size, resize each snapshot only once per size
+    if (this.resizedSnapshotsSource !== snapshot) {
+      this.resizedSnapshotsSource = snapshot;
+      this.resizedSnapshots.clear();
+    }
+
+    if (!this.resizedSnapshots.has(resizeFilter)) {
+      const resizePromise = this.spawnResize(snapshot, resizeFilter);
+
+      this.resizedSnapshots.set(resizeFilter, resizePromise);
+      resizePromise.catch(() => this.resizedSnapshots.delete(resizeFilter));
+    }
+
+    return this.resizedSnapshots.get(resizeFilter);
+  }
+
+  async spawnResize(snapshot, resizeFilter) {
+    const release = await ProcessScheduler.acquire('snapshot', this.accessory.displayName);
+
+    return new Promise((resolve, reject) => {
+      const ffmpegArguments = [
+        '-i',
+        'pipe:',
+        '-frames:v',
+        '1',
+        '-filter:v',
+        ...resizeFilter.split(/\s+/),
+        '-f',
+        'image2',
+        '-',
+      ];
 
       this.log.debug(
         `Resize command: ${this.config.options.videoProcessor} ${ffmpegArguments.join(' ')}`,
@@ -394,10 +904,12 @@ export default class CameraDelegate {
       });
 
       ffmpeg.on('error', (error) => {
+        release();
         reject(`FFmpeg process creation failed: ${error.message}`);
       });
 
       ffmpeg.on('close', () => {
+        release();
         resolve(resizeBuffer);
       });
 
@@ -407,19 +919,23 @@ export default class CameraDelegate {
 
   async handleSnapshotRequest(request, callback) {
     const resolution = this.determineResolution(request, true);
+    const subSource = this.useSubSource(request, true);
 
     try {
-      const cachedSnapshot = !!this.snapshotPromise;
-
-      this.log.debug(`Snapshot requested: ${request.width} x ${request.height}`, this.accessory.displayName);
+      this.log.debug(
+        `Snapshot requested: ${request.width} x ${request.height}${subSource ? ' (substream)' : ''}`,
+        this.accessory.displayName
+      );
 
-      const snapshot = await (this.snapshotPromise || this.fetchSnapshot(resolution.snapFilter));
+      const { snapshot, metadata } = await this.getSnapshot(resolution.snapFilter, subSource);
 
       const resolutionText =
         resolution.width > 0 && resolution.height > 0 ? `${resolution.width}x${resolution.height}` : 'native';
 
       this.log.debug(
-        `Sending snapshot: ${resolutionText}${cachedSnapshot ? ' (cached)' : ''}`,
+        `Sending snapshot: ${resolutionText}${
+          metadata ? ` (cached, ${metadata.age}s old, ${metadata.source}, fetched in ${metadata.duration}ms)` : ''
+        }`,
         this.accessory.displayName
       );
 
@@ -450,11 +966,13 @@ export default class CameraDelegate {
       videoCryptoSuite: request.video.srtpCryptoSuite,
       videoSRTP: Buffer.concat([request.video.srtp_key, request.video.srtp_salt]),
       videoSSRC: videoSSRC,
+      videoSequence: randomInt(65_536),
       audioPort: request.audio.port,
       audioReturnPort: audioReturnPort,
       audioCryptoSuite: request.audio.srtpCryptoSuite,
       audioSRTP: Buffer.concat([request.audio.srtp_key, request.audio.srtp_salt]),
       audioSSRC: audioSSRC,
+      audioSequence: randomInt(65_536),
     };
 
     const response = {
@@ -477,218 +995,255 @@ export default class CameraDelegate {
     callback(undefined, response);
   }
 
-  async startStream(request, callback) {
+  async generateStreamArguments(request, sessionInfo) {
     const controller = this.cameraUi.cameraController.get(this.accessory.displayName);
-    const sessionInfo = this.pendingSessions.get(request.sessionID);
-
-    if (sessionInfo) {
-      let inputChanged = false;
-      let prebufferInput = false;
 
-      const videoConfig = cameraUtils.generateVideoConfig(this.accessory.context.config.videoConfig);
-
-      let ffmpegInput = cameraUtils.generateInputSource(videoConfig).split(/\s+/);
-      ffmpegInput = cameraUtils.checkDeprecatedFFmpegArguments(controller?.media?.codecs?.ffmpegVersion, ffmpegInput);
+    let inputChanged = false;
+    let prebufferInput = false;
 
-      if (!(await this.pingCamera())) {
-        // camera offline
-        ffmpegInput = ['-re', '-loop', '1', '-i', offlineImage];
-        inputChanged = true;
-      } else if (await this.getPrivacyState()) {
-        // privacy mode enabled
-        ffmpegInput = ['-re', '-loop', '1', '-i', privacyImage];
-        inputChanged = true;
-      } else {
-        // prebuffer
-        if (this.accessory.context.config.prebuffering && controller?.prebuffer) {
-          try {
-            this.log.debug('Setting prebuffer stream as input', this.accessory.displayName);
-
-            ffmpegInput = await controller.prebuffer.getVideo({
-              container: 'mpegts',
-            });
-
-            prebufferInput = true;
-          } catch (error) {
-            this.log.warn(
-              `Can not access prebuffer stream, skipping: ${error}`,
-              this.accessory.displayName,
-              'Homebridge'
-            );
-          }
-        }
-      }
-
-      /*if (!prebufferInput) {
-        const allowStream = controller ? controller.session.requestSession() : true;
-
-        if (!allowStream) {
-          // maxStream reached
-          ffmpegInput = ['-re', '-loop', '1', '-i', maxstreamsImage];
-          inputChanged = true;
-        }
-      }*/
+    const videoConfig = cameraUtils.generateVideoConfig(this.accessory.context.config.videoConfig);
+    const subSource = this.useSubSource(request.video);
+
+    let ffmpegInput = cameraUtils.generateInputSource(videoConfig, subSource ? videoConfig.subSource : undefined);
+    ffmpegInput = ffmpegInput.split(/\s+/);
+    ffmpegInput = cameraUtils.checkDeprecatedFFmpegArguments(controller?.media?.codecs?.ffmpegVersion, ffmpegInput);
+
+    if (!(await this.pingCamera())) {
+      // camera offline
+      ffmpegInput = ['-re', '-loop', '1', '-i', offlineImage];
+      inputChanged = true;
+    } else if (await this.getPrivacyState()) {
+      // privacy mode enabled
+      ffmpegInput = ['-re', '-loop', '1', '-i', privacyImage];
+      inputChanged = true;
+    } else if (subSource) {
+      this.log.debug('Setting substream as input', this.accessory.displayName);
+    } else {
+      // prebuffer
+      if (this.accessory.context.config.prebuffering && controller?.prebuffer) {
+        try {
+          this.log.debug('Setting prebuffer stream as input', this.accessory.displayName);
 
-      let audioSourceFound = controller?.media.codecs.audio.length;
+          ffmpegInput = await controller.prebuffer.getVideo({
+            container: 'mpegts',
+          });
 
-      if (!audioSourceFound) {
-        if (videoConfig.audio) {
+          prebufferInput = true;
+        } catch (error) {
           this.log.warn(
-            'Replacing audio with a dummy track, audio source not found or timed out during probe stream (stream). Disable "audio" to mute this warning.',
+            `Can not access prebuffer stream, skipping: ${error}`,
             this.accessory.displayName,
             'Homebridge'
           );
         }
+      }
+
+      // plugin prebuffer, only used if it is already running for HKSV
+      if (!prebufferInput && this.prebuffer?.isRunning()) {
+        try {
+          this.log.debug('Setting plugin prebuffer stream as input', this.accessory.displayName);
 
-        ffmpegInput.push('-f', 'lavfi', '-i', 'anullsrc=cl=1', '-shortest');
+          ffmpegInput = await this.prebuffer.getVideo();
+          prebufferInput = true;
+        } catch (error) {
+          this.log.debug(`Can not access plugin prebuffer stream, skipping: ${error}`, this.accessory.displayName);
+        }
       }
+    }
 
-      const resolution = this.determineResolution(request.video, false);
-      const vcodec = videoConfig.vcodec;
-      const mtu = videoConfig.packetSize || 1316; // request.video.mtu is not used
+    /*if (!prebufferInput) {
+      const allowStream = controller ? controller.session.requestSession() : true;
 
-      let fps = videoConfig.maxFPS && videoConfig.forceMax ? videoConfig.maxFPS : request.video.fps;
-      let videoBitrate =
-        videoConfig.maxBitrate && videoConfig.forceMax ? videoConfig.maxBitrate : request.video.max_bit_rate;
-      let bufsize = request.video.max_bit_rate * 2;
-      let maxrate = request.video.max_bit_rate;
-      let encoderOptions = videoConfig.encoderOptions || '-preset ultrafast -tune zerolatency';
+      if (!allowStream) {
+        // maxStream reached
+        ffmpegInput = ['-re', '-loop', '1', '-i', maxstreamsImage];
+        inputChanged = true;
+      }
+    }*/
+
+    let audioSourceFound = controller?.media.codecs.audio.length;
 
-      if (vcodec === 'copy') {
-        resolution.width = 0;
-        resolution.height = 0;
-        resolution.videoFilter = undefined;
-        fps = 0;
-        videoBitrate = 0;
-        bufsize = 0;
-        maxrate = 0;
-        encoderOptions = undefined;
+    if (!audioSourceFound) {
+      if (videoConfig.audio) {
+        this.log.warn(
+          'Replacing audio with a dummy track, audio source not found or timed out during probe stream (stream). Disable "audio" to mute this warning.',
+          this.accessory.displayName,
+          'Homebridge'
+        );
       }
 
-      const resolutionText =
-        vcodec === 'copy'
-          ? 'native'
-          : `${resolution.width}x${resolution.height}, ${fps} fps, ${videoBitrate} kbps ${
-              videoConfig.audio ? ' (' + request.audio.codec + ')' : ''
-            }`;
+      ffmpegInput.push('-f', 'lavfi', '-i', 'anullsrc=cl=1', '-shortest');
+    }
 
-      this.log.info(`Starting video stream: ${resolutionText}`, this.accessory.displayName);
+    const resolution = this.determineResolution(request.video, false);
+    const vcodec = videoConfig.vcodec;
+    const mtu = videoConfig.packetSize || 1316; // request.video.mtu is not used
+
+    let fps = videoConfig.maxFPS && videoConfig.forceMax ? videoConfig.maxFPS : request.video.fps;
+    let videoBitrate =
+      videoConfig.maxBitrate && videoConfig.forceMax ? videoConfig.maxBitrate : request.video.max_bit_rate;
+    let bufsize = request.video.max_bit_rate * 2;
+    let maxrate = request.video.max_bit_rate;
+    let encoderOptions = videoConfig.encoderOptions || '-preset ultrafast -tune zerolatency';
+
+    if (vcodec === 'copy') {
+      resolution.width = 0;
+      resolution.height = 0;
+      resolution.videoFilter = undefined;
+      fps = 0;
+      videoBitrate = 0;
+      bufsize = 0;
+      maxrate = 0;
+      encoderOptions = undefined;
+    }
 
-      const ffmpegArguments = ['-hide_banner'];
+    let resolutionText =
+      vcodec === 'copy'
+        ? 'native'
+        : `${resolution.width}x${resolution.height}, ${fps} fps, ${videoBitrate} kbps ${
+            videoConfig.audio ? ' (' + request.audio.codec + ')' : ''
+          }`;
 
-      if (videoConfig.debug) {
-        ffmpegArguments.push('-loglevel', 'verbose');
-      }
+    if (subSource && !inputChanged) {
+      resolutionText += ' (substream)';
+    }
 
-      ffmpegArguments.push(...ffmpegInput);
+    const ffmpegArguments = ['-hide_banner'];
 
-      if (!inputChanged && !prebufferInput && videoConfig.mapvideo) {
-        ffmpegArguments.push('-map', videoConfig.mapvideo);
-      } else {
-        ffmpegArguments.push('-an', '-sn', '-dn');
-      }
+    if (videoConfig.debug) {
+      ffmpegArguments.push('-loglevel', 'verbose');
+    }
 
-      if (fps) {
-        ffmpegArguments.push('-r', fps);
-      }
+    ffmpegArguments.push(...ffmpegInput);
 
-      ffmpegArguments.push(
-        '-vcodec',
-        inputChanged ? (vcodec === 'copy' ? 'libx264' : vcodec) : vcodec,
-        '-pix_fmt',
-        'yuv420p',
-        '-color_range',
-        'mpeg',
-        '-f',
-        'rawvideo'
-      );
+    if (!inputChanged && !prebufferInput && !subSource && videoConfig.mapvideo) {
+      ffmpegArguments.push('-map', videoConfig.mapvideo);
+    } else {
+      ffmpegArguments.push('-an', '-sn', '-dn');
+    }
 
-      if (encoderOptions) {
-        ffmpegArguments.push(...encoderOptions.split(/\s+/));
-      }
+    if (fps) {
+      ffmpegArguments.push('-r', fps);
+    }
 
-      if (resolution.videoFilter) {
-        ffmpegArguments.push('-filter:v', ...resolution.videoFilter.split(/\s+/));
-      }
+    ffmpegArguments.push(
+      '-vcodec',
+      inputChanged ? (vcodec === 'copy' ? 'libx264' : vcodec) : vcodec,
+      '-pix_fmt',
+      'yuv420p',
+      '-color_range',
+      'mpeg',
+      '-f',
+      'rawvideo'
+    );
+
+    if (encoderOptions) {
+      ffmpegArguments.push(...encoderOptions.split(/\s+/));
+    }
 
-      if (videoBitrate > 0) {
-        ffmpegArguments.push('-b:v', `${videoBitrate}k`);
-      }
+    if (resolution.videoFilter) {
+      ffmpegArguments.push('-filter:v', ...resolution.videoFilter.split(/\s+/));
+    }
 
-      if (bufsize > 0) {
-        ffmpegArguments.push('-bufsize', `${bufsize}k`);
-      }
+    if (videoBitrate > 0) {
+      ffmpegArguments.push('-b:v', `${videoBitrate}k`);
+    }
 
-      if (maxrate > 0) {
-        ffmpegArguments.push('-maxrate', `${maxrate}k`);
-      }
+    if (bufsize > 0) {
+      ffmpegArguments.push('-bufsize', `${bufsize}k`);
+    }
 
-      ffmpegArguments.push(
-        '-payload_type',
-        request.video.pt,
-        '-ssrc',
-        sessionInfo.videoSSRC,
-        '-f',
-        'rtp',
-        '-srtp_out_suite',
-        'AES_CM_128_HMAC_SHA1_80',
-        '-srtp_out_params',
-        sessionInfo.videoSRTP.toString('base64'),
-        `srtp://${sessionInfo.address}:${sessionInfo.videoPort}?rtcpport=${sessionInfo.videoPort}&pkt_size=${mtu}`
-      );
+    if (maxrate > 0) {
+      ffmpegArguments.push('-maxrate', `${maxrate}k`);
+    }
 
-      if (videoConfig.audio && !inputChanged) {
-        if (
-          request.audio.codec === this.api.hap.AudioStreamingCodecType.OPUS ||
-          request.audio.codec === this.api.hap.AudioStreamingCodecType.AAC_ELD
-        ) {
-          if (videoConfig.mapaudio && !prebufferInput) {
-            ffmpegArguments.push('-map', videoConfig.mapaudio.split(/\s+/));
-          } else {
-            ffmpegArguments.push('-vn', '-sn', '-dn');
-          }
+    if (sessionInfo.shared && vcodec !== 'copy') {
+      // late viewers of a shared stream need frequent keyframes
+      ffmpegArguments.push('-force_key_frames', 'expr:gte(t,n_forced*2)');
+    }
 
-          if (request.audio.codec === this.api.hap.AudioStreamingCodecType.OPUS) {
-            ffmpegArguments.push('-acodec', 'libopus', '-application', 'lowdelay');
-          } else {
-            ffmpegArguments.push('-acodec', 'libfdk_aac', '-profile:a', 'aac_eld');
-          }
+    // without srtp keys the stream is sent unencrypted to the local multiplexer, it is encrypted per viewer
+    const protocol = sessionInfo.videoSRTP ? 'srtp' : 'rtp';
+
+    ffmpegArguments.push(
+      '-payload_type',
+      request.video.pt,
+      '-ssrc',
+      sessionInfo.videoSSRC,
+      '-f',
+      'rtp',
+      ...srtpArguments(sessionInfo.videoSRTP, sessionInfo.videoSequence),
+      `${protocol}://${sessionInfo.address}:${sessionInfo.videoPort}?rtcpport=${sessionInfo.videoPort}&pkt_size=${mtu}`
+    );
+
+    if (videoConfig.audio && !inputChanged) {
+      if (
+        request.audio.codec === this.api.hap.AudioStreamingCodecType.OPUS ||
+        request.audio.codec === this.api.hap.AudioStreamingCodecType.AAC_ELD
+      ) {
+        if (videoConfig.mapaudio && !prebufferInput && !subSource) {
+          ffmpegArguments.push('-map', videoConfig.mapaudio.split(/\s+/));
+        } else {
+          ffmpegArguments.push('-vn', '-sn', '-dn');
+        }
 
-          ffmpegArguments.push(
-            '-flags',
-            '+global_header',
-            '-f',
-            'null',
-            '-ar',
-            `${request.audio.sample_rate}k`,
-            '-b:a',
-            `${request.audio.max_bit_rate}k`,
-            '-ac',
-            request.audio.channel,
-            '-payload_type',
-            request.audio.pt,
-            '-ssrc',
-            sessionInfo.audioSSRC,
-            '-f',
-            'rtp',
-            '-srtp_out_suite',
-            'AES_CM_128_HMAC_SHA1_80',
-            '-srtp_out_params',
-            sessionInfo.audioSRTP.toString('base64'),
-            `srtp://${sessionInfo.address}:${sessionInfo.audioPort}?rtcpport=${sessionInfo.audioPort}&pkt_size=188`
-          );
+        if (request.audio.codec === this.api.hap.AudioStreamingCodecType.OPUS) {
+          ffmpegArguments.push('-acodec', 'libopus', '-application', 'lowdelay');
+
+          if (request.audio.packet_time) {
+            ffmpegArguments.push('-frame_duration', request.audio.packet_time);
+          }
         } else {
-          this.log.error(
-            `Unsupported audio codec requested: ${request.audio.codec}`,
-            this.accessory.displayName,
-            'Homebridge'
-          );
+          ffmpegArguments.push('-acodec', 'libfdk_aac', '-profile:a', 'aac_eld');
         }
+
+        ffmpegArguments.push(
+          '-flags',
+          '+global_header',
+          '-f',
+          'null',
+          '-ar',
+          `${request.audio.sample_rate}k`,
+          '-b:a',
+          `${request.audio.max_bit_rate}k`,
+          '-ac',
+          request.audio.channel,
+          '-payload_type',
+          request.audio.pt,
+          '-ssrc',
+          sessionInfo.audioSSRC,
+          '-f',
+          'rtp',
+          ...srtpArguments(sessionInfo.audioSRTP, sessionInfo.audioSequence),
+          `${protocol}://${sessionInfo.address}:${sessionInfo.audioPort}?rtcpport=${sessionInfo.audioPort}&pkt_size=188`
+        );
+      } else {
+        this.log.error(
+          `Unsupported audio codec requested: ${request.audio.codec}`,
+          this.accessory.displayName,
+          'Homebridge'
+        );
       }
+    }
+
+    ffmpegArguments.push('-progress', 'pipe:1');
+
+    return { ffmpegArguments, inputChanged, resolutionText, videoConfig };
+  }
+
+  async startStream(request, callback) {
+    const sessionInfo = this.pendingSessions.get(request.sessionID);
+
+    if (sessionInfo) {
+      const videoConfig = cameraUtils.generateVideoConfig(this.accessory.context.config.videoConfig);
 
-      ffmpegArguments.push('-progress', 'pipe:1');
+      const activeSession = {
+        request: request,
+        sessionInfo: sessionInfo,
+        rtcpSrtp: new SrtpSession(sessionInfo.videoSRTP),
+        stats: new StreamStatistics(this.accessory.displayName, request.sessionID),
+      };
 
-      const activeSession = {};
       activeSession.socket = createSocket(sessionInfo.ipv6 ? 'udp6' : 'udp4');
 
       activeSession.socket.on('error', (error) => {
@@ -696,31 +1251,48 @@ export default class CameraDelegate {
         this.stopStream(request.sessionID);
       });
 
-      activeSession.socket.on('message', () => {
+      activeSession.socket.on('message', (message) => {
         if (activeSession.timeout) {
           clearTimeout(activeSession.timeout);
         }
 
+        this.handleRtcp(activeSession, message);
+
         activeSession.timeout = setTimeout(() => {
           this.log.info('Device appears to be inactive. Stopping stream.', this.accessory.displayName);
           this.controller.forceStopStreamingSession(request.sessionID);
           this.stopStream(request.sessionID);
-        }, request.video.rtcp_interval * 5 * 1000);
+        }, activeSession.request.video.rtcp_interval * 5 * 1000);
       });
 
       activeSession.socket.bind(sessionInfo.videoReturnPort);
 
-      activeSession.mainProcess = new FfmpegProcess(
-        this.accessory.displayName,
-        videoConfig.debug,
-        request.sessionID,
-        this.config.options.videoProcessor,
-        ffmpegArguments,
-        this,
-        callback
-      );
+      // the session is registered early so a stop request during startup can be handled
+      this.ongoingSessions.set(request.sessionID, activeSession);
+      this.pendingSessions.delete(request.sessionID);
+
+      let inputChanged = false;
+
+      try {
+        inputChanged = videoConfig.sharedStream
+          ? await this.joinSharedStream(activeSession, callback)
+          : await this.startNativeStream(activeSession, callback);
+      } catch (error) {
+        this.log.error(`Error occurred starting stream: ${error}`, this.accessory.displayName, 'Homebridge');
+
+        this.stopStream(request.sessionID);
+        callback(error);
+
+        return;
+      }
+
+      if (!this.ongoingSessions.has(request.sessionID)) {
+        // stream was stopped in the meantime
+        return;
+      }
 
       if (videoConfig.audio && videoConfig.returnAudioTarget && !inputChanged) {
+        const opusReturnAudio = request.audio.codec === this.api.hap.AudioStreamingCodecType.OPUS;
         const ffmpegReturnArguments = ['-hide_banner'];
 
         if (videoConfig.debug) {
@@ -733,7 +1305,7 @@ export default class CameraDelegate {
           '-f',
           'sdp',
           '-c:a',
-          'libfdk_aac',
+          opusReturnAudio ? 'opus' : 'libfdk_aac',
           '-i',
           'pipe:',
           ...videoConfig.returnAudioTarget.split(/\s+/)
@@ -759,11 +1331,15 @@ export default class CameraDelegate {
           sessionInfo.audioReturnPort +
           ' RTP/AVP 110\r\n' +
           'b=AS:24\r\n' +
-          'a=rtpmap:110 MPEG4-GENERIC/16000/1\r\n' +
-          'a=rtcp-mux\r\n' + // FFmpeg ignores this, but might as well
-          'a=fmtp:110 ' +
-          'profile-level-id=1;mode=AAC-hbr;sizelength=13;indexlength=3;indexdeltalength=3; ' +
-          'config=F8F0212C00BC00\r\n' +
+          (opusReturnAudio
+            ? 'a=rtpmap:110 opus/48000/2\r\n' + // rtp clock rate of opus is always 48000 (RFC 7587)
+              'a=rtcp-mux\r\n' +
+              'a=fmtp:110 minptime=10;useinbandfec=1\r\n'
+            : 'a=rtpmap:110 MPEG4-GENERIC/16000/1\r\n' +
+              'a=rtcp-mux\r\n' + // FFmpeg ignores this, but might as well
+              'a=fmtp:110 ' +
+              'profile-level-id=1;mode=AAC-hbr;sizelength=13;indexlength=3;indexdeltalength=3; ' +
+              'config=F8F0212C00BC00\r\n') +
           'a=crypto:1 AES_CM_128_HMAC_SHA1_80 inline:' +
           sessionInfo.audioSRTP.toString('base64') +
           '\r\n';
@@ -779,16 +1355,436 @@ export default class CameraDelegate {
 
         activeSession.returnProcess.getStdin().end(sdpReturnAudio);
       }
-
-      this.ongoingSessions.set(request.sessionID, activeSession);
-      this.pendingSessions.delete(request.sessionID);
     } else {
       this.log.error('Error finding session information.', this.accessory.displayName, 'Homebridge');
       callback(new Error('Error finding session information'));
     }
   }
 
+  handleRtcp(session, message) {
+    try {
+      const packet = session.rtcpSrtp.unprotectRtcp(message);
+
+      if (!packet) {
+        return;
+      }
+
+      session.stats.handleRtcp(packet);
+      session.stats.updateProgress((session.multiplexer?.process || session.mainProcess)?.progress);
+      session.stats.check();
+    } catch (error) {
+      this.log.debug(`Can not parse RTCP packet: ${error.message}`, this.accessory.displayName);
+    }
+  }
+
+  getStreamStatistics() {
+    return [...this.ongoingSessions.values()].map((session) => ({
+      ...session.stats.getStats(),
+      shared: Boolean(session.multiplexer?.shared),
+      viewers: session.multiplexer ? session.multiplexer.viewers.size : 1,
+      video: {
+        width: session.request.video.width,
+        height: session.request.video.height,
+        fps: session.request.video.fps,
+        maxBitrate: session.request.video.max_bit_rate,
+      },
+    }));
+  }
+
+  getSharedStreamKey(request) {
+    return JSON.stringify({
+      subSource: this.useSubSource(request.video),
+      video: [request.video.width, request.video.height, request.video.fps, request.video.max_bit_rate],
+      audio: [
+        request.audio.codec,
+        request.audio.sample_rate,
+        request.audio.channel,
+        request.audio.max_bit_rate,
+        request.audio.packet_time,
+      ],
+    });
+  }
+
+  async startSharedStream(multiplexer, request, callback) {
+    const relayPorts = await multiplexer.bind();
+
+    const relayInfo = {
+      address: '127.0.0.1',
+      ipv6: false,
+      videoPort: relayPorts.videoPort,
+      videoSSRC: this.api.hap.CameraController.generateSynchronisationSource(),
+      audioPort: relayPorts.audioPort,
+      audioSSRC: this.api.hap.CameraController.generateSynchronisationSource(),
+      shared: multiplexer.shared,
+    };
+
+    const { ffmpegArguments, inputChanged, resolutionText, videoConfig } = await this.generateStreamArguments(
+      request,
+      relayInfo
+    );
+
+    this.log.info(`Starting video stream: ${resolutionText}`, this.accessory.displayName);
+
+    multiplexer.request = request;
+    multiplexer.relayInfo = relayInfo;
+
+    // the multiplexer key is used as session id, a failing encoder stops all of its viewers
+    multiplexer.process = new FfmpegProcess(
+      this.accessory.displayName,
+      videoConfig.debug,
+      multiplexer.key,
+      this.config.options.videoProcessor,
+      ffmpegArguments,
+      this,
+      callback
+    );
+
+    return { inputChanged, resolutionText };
+  }
+
+  // unshared streams are encrypted by FFmpeg itself
+  async startNativeStream(activeSession, callback) {
+    const request = activeSession.request;
+
+    const { ffmpegArguments, inputChanged, resolutionText, videoConfig } = await this.generateStreamArguments(
+      request,
+      activeSession.sessionInfo
+    );
+
+    this.log.info(`Starting video stream: ${resolutionText}`, this.accessory.displayName);
+
+    activeSession.startedAt = Date.now();
+    activeSession.mainProcess = new FfmpegProcess(
+      this.accessory.displayName,
+      videoConfig.debug,
+      request.sessionID,
+      this.config.options.videoProcessor,
+      ffmpegArguments,
+      this,
+      callback
+    );
+
+    if (!this.ongoingSessions.has(request.sessionID)) {
+      // stream was stopped in the meantime
+      activeSession.mainProcess.stop();
+    }
+
+    return inputChanged;
+  }
+
+  // the packet indexes of the srtp session of a native encoder, the relay continues with the following ones
+  // the video index is reported by HomeKit (receiver report), the audio index is estimated by the packet time
+  // both are overestimated: skipped indexes count as lost packets, reused indexes are dropped as replayed packets
+  getContinuation(session) {
+    const { request, sessionInfo, stats, startedAt } = session;
+    const videoConfig = this.accessory.context.config.videoConfig;
+
+    const now = Date.now();
+    const elapsed = (since) => (now - since) / 1000 + 1;
+
+    const bitrate = Math.max(request.video.max_bit_rate, videoConfig.maxBitrate || 0);
+    const videoPacketRate = 2 * Math.max(request.video.fps, (bitrate * 1000) / 8 / (videoConfig.packetSize || 1316));
+    const audioPacketRate = 1000 / (request.audio.packet_time || 20);
+
+    const report = stats.highestSequence;
+
+    const videoIndex = report
+      ? report.value + Math.ceil(elapsed(report.receivedAt) * videoPacketRate)
+      : sessionInfo.videoSequence + Math.ceil(elapsed(startedAt) * videoPacketRate);
+    const audioIndex = sessionInfo.audioSequence + Math.ceil(elapsed(startedAt) * audioPacketRate * 1.1);
+
+    // FFmpeg sends a sender report every few seconds at most
+    const rtcpIndex = Math.ceil(elapsed(startedAt));
+
+    return {
+      video: { rtp: videoIndex % 2 ** 32, rtcp: rtcpIndex },
+      audio: { rtp: audioIndex % 2 ** 32, rtcp: rtcpIndex },
+    };
+  }
+
+  // moves a viewer from its native encoder to a relay of its own, e.g. to apply new parameters,
+  // the relay continues the srtp session of the encoder, a new encoder must not reuse it
+  async relayNativeStream(session, request = session.request) {
+    session.continuation = this.getContinuation(session);
+
+    if (session.restartTimer) {
+      clearTimeout(session.restartTimer);
+    }
+
+    session.mainProcess.stop();
+    session.mainProcess = undefined;
+    session.request = request;
+
+    await this.joinSharedStream(session);
+  }
+
+  // the relay keeps the srtp session of a viewer across encoder restarts,
+  // streams that can not be shared get a relay of their own
+  async joinSharedStream(activeSession, callback) {
+    const shared = this.accessory.context.config.videoConfig.sharedStream;
+    const key = shared
+      ? this.getSharedStreamKey(activeSession.request)
+      : `${activeSession.request.sessionID}:${this.getSharedStreamKey(activeSession.request)}`;
+
+    if (!this.sharedStreams.has(key)) {
+      const multiplexer = new StreamMultiplexer(this.accessory.displayName, key);
+      multiplexer.shared = shared;
+
+      this.sharedStreams.set(key, multiplexer);
+
+      // the first viewer is answered as soon as the encoder is running
+      multiplexer.started = this.startSharedStream(multiplexer, activeSession.request, callback);
+      callback = undefined;
+    }
+
+    const multiplexer = this.sharedStreams.get(key);
+
+    multiplexer.pending = (multiplexer.pending || 0) + 1;
+
+    let started;
+
+    try {
+      started = await multiplexer.started;
+    } catch (error) {
+      // the encoder could not be started, the viewers waiting for it are answered with the error
+      if (this.sharedStreams.get(key) === multiplexer) {
+        this.sharedStreams.delete(key);
+        multiplexer.close();
+      }
+
+      throw error;
+    } finally {
+      multiplexer.pending--;
+    }
+
+    const { inputChanged, resolutionText } = started;
+
+    if (!this.ongoingSessions.has(activeSession.request.sessionID)) {
+      // stream was stopped in the meantime
+      if (multiplexer.viewers.size === 0 && !multiplexer.pending) {
+        this.sharedStreams.delete(key);
+        multiplexer.close();
+      }
+
+      return inputChanged;
+    }
+
+    const viewers = multiplexer.addViewer(activeSession.request.sessionID, activeSession);
+    activeSession.multiplexer = multiplexer;
+
+    if (callback) {
+      this.log.info(`Joining running video stream: ${resolutionText} (${viewers} viewers)`, this.accessory.displayName);
+      callback();
+    }
+
+    return inputChanged;
+  }
+
+  leaveSharedStream(sessionId, session) {
+    const multiplexer = session.multiplexer;
+    session.multiplexer = undefined;
+
+    if (multiplexer && multiplexer.removeViewer(sessionId) === 0 && !multiplexer.pending) {
+      this.log.debug('Last viewer left, stopping video encoder', this.accessory.displayName);
+
+      this.sharedStreams.delete(multiplexer.key);
+      multiplexer.close();
+    }
+  }
+
+  // the encoders are restarted through a relay, it keeps the srtp session of each viewer
+  restartStream(sessionId, process, code) {
+    const multiplexer = this.sharedStreams.get(sessionId);
+    const session = multiplexer || this.ongoingSessions.get(sessionId);
+
+    // two-way audio processes are not restarted
+    if (!session || process !== (multiplexer ? multiplexer.process : session.mainProcess)) {
+      return false;
+    }
+
+    const videoConfig = this.accessory.context.config.videoConfig;
+    const output = process.output.join('\n');
+
+    // a process killed by the watchdog is always worth another try
+    const transient =
+      process.stalled ||
+      videoConfig.retryExitCodes.includes(code) ||
+      videoConfig.retryPatterns.some((pattern) => new RegExp(pattern, 'i').test(output));
+
+    if (!transient) {
+      return false;
+    }
+
+    // a stream that ran for a while after the last restart gets the full number of attempts again
+    if (!session.restarts || Date.now() - session.restarts.lastAttempt > 60000) {
+      session.restarts = {
+        attempts: 0,
+        lastAttempt: 0,
+      };
+    }
+
+    if (session.restarts.attempts >= videoConfig.retryAttempts) {
+      if (videoConfig.retryAttempts > 0) {
+        this.log.warn(
+          `Stream could not be restarted after ${session.restarts.attempts} attempts, giving up.`,
+          this.accessory.displayName,
+          'Homebridge'
+        );
+      }
+
+      return false;
+    }
+
+    const delay = videoConfig.retryDelay * 1000 * 2 ** session.restarts.attempts;
+
+    session.restarts.attempts++;
+    session.restarts.lastAttempt = Date.now() + delay;
+
+    this.log.warn(
+      `Stream interrupted, restarting in ${delay / 1000}s (attempt ${session.restarts.attempts}/${
+        videoConfig.retryAttempts
+      })`,
+      this.accessory.displayName,
+      'Homebridge'
+    );
+
+    session.restartTimer = setTimeout(() => this.respawnStream(sessionId), delay);
+
+    return true;
+  }
+
+  async respawnStream(sessionId) {
+    const session = this.ongoingSessions.get(sessionId);
+
+    if (session?.mainProcess) {
+      try {
+        // a native encoder is replaced by a relayed one
+        await this.relayNativeStream(session);
+      } catch (error) {
+        this.log.error(`Error occurred restarting stream: ${error}`, this.accessory.displayName, 'Homebridge');
+
+        this.controller.forceStopStreamingSession(sessionId);
+        this.stopStream(sessionId);
+      }
+
+      return;
+    }
+
+    const multiplexer = this.sharedStreams.get(sessionId);
+
+    if (!multiplexer) {
+      // stream was stopped in the meantime
+      return;
+    }
+
+    const isCurrent = () => this.sharedStreams.get(sessionId) === multiplexer;
+
+    try {
+      // the arguments are generated again, prebuffer inputs can only be used once
+      const { ffmpegArguments, videoConfig } = await this.generateStreamArguments(
+        multiplexer.request,
+        multiplexer.relayInfo
+      );
+
+      if (!isCurrent()) {
+        return;
+      }
+
+      multiplexer.process = new FfmpegProcess(
+        this.accessory.displayName,
+        videoConfig.debug,
+        sessionId,
+        this.config.options.videoProcessor,
+        ffmpegArguments,
+        this
+      );
+
+      // the viewers continue with the sequence numbers and timestamps of the previous encoder
+      multiplexer.resync();
+    } catch (error) {
+      this.log.error(`Error occurred restarting stream: ${error}`, this.accessory.displayName, 'Homebridge');
+
+      if (isCurrent()) {
+        // stops all viewers of the encoder
+        this.stopStream(sessionId);
+      }
+    }
+  }
+
+  async reconfigureStream(request, callback) {
+    const session = this.ongoingSessions.get(request.sessionID);
+
+    if (!session) {
+      this.log.debug('Can not reconfigure stream, session not found. Skipping..', this.accessory.displayName);
+      return callback();
+    }
+
+    const videoConfig = cameraUtils.generateVideoConfig(this.accessory.context.config.videoConfig);
+
+    if (videoConfig.vcodec === 'copy') {
+      this.log.debug(
+        'Skipping stream reconfiguration, video stream is not transcoded (copy)',
+        this.accessory.displayName
+      );
+      return callback();
+    }
+
+    // keep the negotiated srtp session, ports and ssrc, only the video parameters change
+    const reconfiguredRequest = {
+      ...session.request,
+      video: {
+        ...session.request.video,
+        width: request.video.width,
+        height: request.video.height,
+        fps: request.video.fps,
+        max_bit_rate: request.video.max_bit_rate,
+        rtcp_interval: request.video.rtcp_interval || session.request.video.rtcp_interval,
+      },
+    };
+
+    try {
+      this.log.info(
+        `Reconfiguring video stream: ${request.video.width}x${request.video.height}, ${request.video.fps} fps, ${request.video.max_bit_rate} kbps`,
+        this.accessory.displayName
+      );
+
+      // the viewer is moved to an encoder with the new parameters, the relay keeps its srtp session
+      if (session.mainProcess) {
+        await this.relayNativeStream(session, reconfiguredRequest);
+      } else {
+        this.leaveSharedStream(request.sessionID, session);
+        session.request = reconfiguredRequest;
+
+        await this.joinSharedStream(session);
+      }
+
+      callback();
+    } catch (error) {
+      this.log.error(`Error occurred reconfiguring stream: ${error}`, this.accessory.displayName, 'Homebridge');
+
+      // the viewer has already left its previous encoder
+      this.controller.forceStopStreamingSession(request.sessionID);
+      this.stopStream(request.sessionID);
+      callback(error);
+    }
+  }
+
   stopStream(sessionId) {
+    const multiplexer = this.sharedStreams.get(sessionId);
+
+    if (multiplexer) {
+      // the shared encoder failed
+      for (const viewerId of multiplexer.viewers.keys()) {
+        this.controller.forceStopStreamingSession(viewerId);
+        this.stopStream(viewerId);
+      }
+
+      this.sharedStreams.delete(sessionId);
+      multiplexer.close();
+
+      return;
+    }
+
     const session = this.ongoingSessions.get(sessionId);
 
     if (session) {
@@ -796,6 +1792,13 @@ export default class CameraDelegate {
         clearTimeout(session.timeout);
       }
 
+      if (session.restartTimer) {
+        clearTimeout(session.restartTimer);
+      }
+
+      this.leaveSharedStream(sessionId, session);
+      StreamMultiplexer.closeViewer(session);
+
       try {
         session.socket?.close();
       } catch (error) {
@@ -824,6 +1827,10 @@ export default class CameraDelegate {
 
       this.ongoingSessions.delete(sessionId);
 
+      if (session.stats.rtcp.reports > 0) {
+        this.log.debug(`Stream statistics: ${JSON.stringify(session.stats.getStats())}`, this.accessory.displayName);
+      }
+
       //const controller = this.cameraUi.cameraController.get(this.accessory.displayName);
       //controller?.session.closeSession();
 
@@ -845,11 +1852,11 @@ export default class CameraDelegate {
 
       case 'reconfigure': {
         this.log.debug(
-          `Reconfigure stream requested: ${request.video.width}x${request.video.height}, ${request.video.fps} fps, ${request.video.max_bit_rate} kbps (Ignored)`,
+          `Reconfigure stream requested: ${request.video.width}x${request.video.height}, ${request.video.fps} fps, ${request.video.max_bit_rate} kbps`,
           this.accessory.displayName
         );
 
-        callback();
+        this.reconfigureStream(request, callback);
         break;
       }
 
@@ -0,0 +1,45 @@
+'use-strict';
+
+import Logger from '../../services/logger/logger.service.js';
+
+export default class OccupancyService {
+  constructor(api, accessory) {
+    this.api = api;
+    this.log = Logger.log;
+    this.accessory = accessory;
+
+    this.getService();
+  }
+
+  //~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~//
+  // Services
+  //~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~//
+
+  getService() {
+    let service = this.accessory.getServiceById(this.api.hap.Service.OccupancySensor, 'occupancy');
+
+    if (this.accessory.context.config.occupancy) {
+      if (!service) {
+        this.log.debug('Adding occupancy sensor service', this.accessory.displayName);
+        service = this.accessory.addService(
+          this.api.hap.Service.OccupancySensor,
+          this.accessory.displayName + ' Occupancy',
+          'occupancy'
+        );
+      }
+
+      if (!service.testCharacteristic(this.api.hap.Characteristic.StatusActive)) {
+        service.addCharacteristic(this.api.hap.Characteristic.StatusActive);
+      }
+
+      service
+        .getCharacteristic(this.api.hap.Characteristic.OccupancyDetected)
+        .updateValue(this.api.hap.Characteristic.OccupancyDetected.OCCUPANCY_NOT_DETECTED);
+    } else {
+      if (service) {
+        this.log.debug('Removing occupancy sensor service', this.accessory.displayName);
+        this.accessory.removeService(service);
+      }
+    }
+  }
+}
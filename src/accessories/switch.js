@@ -2,14 +2,18 @@
 
 import Logger from '../../services/logger/logger.service.js';
 
+import SettingsService from '../services/settings.service.js';
+
 const capitalize = (s) => s.charAt(0).toUpperCase() + s.slice(1).toLowerCase();
 
 export default class SwitchAccessory {
-  constructor(api, accessory, subtype, type, cameraUi) {
+  constructor(api, accessory, subtype, type, cameraUi, handler) {
     this.api = api;
     this.log = Logger.log;
     this.accessory = accessory;
     this.cameraUi = cameraUi;
+    this.handler = handler;
+    this.settings = new SettingsService(cameraUi);
 
     this.type = type;
     this.subtype = subtype;
@@ -122,15 +126,11 @@ export default class SwitchAccessory {
 
   async setAtHomeState(service, state) {
     try {
-      await this.cameraUi?.database?.interface.chain
-        .get('settings')
-        .get('general')
-        .assign({
-          atHome: state ? true : false,
-        })
-        .value();
+      await this.settings.setAtHome(state);
 
       this.log.info(`At Home: ${state}`, this.accessory.displayName);
+
+      await this.handler?.switchHandler(undefined, 'athome', state, 'homekit');
     } catch (error) {
       this.log.info('An error occurred during setting atHome state!', this.accessory.displayName);
       this.log.error(error, this.accessory.displayName, 'Homebridge');
@@ -163,32 +163,14 @@ export default class SwitchAccessory {
 
   async setExcludeState(service, state) {
     try {
-      const generalSettings = await this.cameraUi?.database?.interface.chain
-        .get('settings')
-        .get('general')
-        .cloneDeep()
-        .value();
-
-      let exclude = generalSettings?.exclude || [];
-
-      if (state && !exclude.includes(this.accessory.displayName)) {
-        exclude.push(this.accessory.displayName);
-      } else if (!state && exclude.includes(this.accessory.displayName)) {
-        exclude = exclude.filter((cameraName) => cameraName && cameraName !== this.accessory.displayName);
-      }
-
-      await this.cameraUi?.database?.interface.chain
-        .get('settings')
-        .get('general')
-        .assign({
-          exclude: exclude,
-        })
-        .value();
+      await this.settings.setExclude(this.accessory.displayName, state);
 
       this.log.info(
         `Exclude: ${this.accessory.displayName} ${state ? 'added to exclude list' : 'removed from exclude list'}`,
         this.accessory.displayName
       );
+
+      await this.handler?.switchHandler(this.accessory.displayName, 'exclude', state, 'homekit');
     } catch (error) {
       this.log.info('An error occurred during setting atHome state!', this.accessory.displayName);
       this.log.error(error, this.accessory.displayName, 'Homebridge');
@@ -221,16 +203,11 @@ export default class SwitchAccessory {
 
   async setPrivacyState(service, state) {
     try {
-      await this.cameraUi?.database?.interface.chain
-        .get('settings')
-        .get('cameras')
-        .find({ name: this.accessory.displayName })
-        .assign({
-          privacyMode: state ? true : false,
-        })
-        .value();
+      await this.settings.setPrivacy(this.accessory.displayName, state);
 
       this.log.info(`Privacy Mode: ${state}`, this.accessory.displayName);
+
+      await this.handler?.switchHandler(this.accessory.displayName, 'privacy', state, 'homekit');
     } catch (error) {
       this.log.info('An error occurred during setting privacy mode state!', this.accessory.displayName);
       this.log.error(error, this.accessory.displayName, 'Homebridge');
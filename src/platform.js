@@ -10,10 +10,12 @@ import Logger from '../services/logger/logger.service.js';
 import Camera from './accessories/camera.js';
 import DoorbellSensor from './accessories/doorbell.js';
 import MotionSensor from './accessories/motion.js';
+import OccupancySensor from './accessories/occupancy.js';
 import InterfaceSwitch from './accessories/switch.js';
 
 import Config from '../services/config/config.service.js';
 import Handler from './services/handler.service.js';
+import ProcessScheduler from './services/scheduler.service.js';
 
 const __dirname = path.dirname(fileURLToPath(import.meta.url));
 const packageJson = fs.readJsonSync(path.resolve(__dirname, '../package.json'));
@@ -27,6 +29,21 @@ const ENV_OPTIONS = {
   sudo: true,
 };
 
+// interval in which the stream statistics are stored for the config ui
+const STATISTICS_INTERVAL = 10 * 1000;
+
+// options of the plugin inside objects known to camera.ui, camera.ui drops them when saving the config
+const pluginOptions = {
+  options: ['maxProcesses', 'maxStreamProcesses', 'maxSnapshotProcesses'],
+  mqtt: ['topicPrefix', 'homeAssistant', 'discoveryPrefix'],
+};
+
+// the motion delay is handled by the plugin (motion confirmation), camera.ui would delay every event once more
+const cameraUiConfig = (config) => ({
+  ...config,
+  cameras: config.cameras.map((camera) => ({ ...camera, motionDelay: undefined })),
+});
+
 export class HomebridgeCameraUI {
   constructor(log, config, api) {
     if (!api || !config) {
@@ -42,10 +59,12 @@ export class HomebridgeCameraUI {
 
     this.log = Logger.log;
     this.config = new Config(config);
+
+    ProcessScheduler.configure(this.config.options);
     this.cameraUiPath = `${this.api.user.storagePath()}/camera.ui`;
 
-    this.cameraUi = new CameraUI(this.config, this.cameraUiPath, Logger, ENV_OPTIONS);
-    this.handler = new Handler(this.api.hap, this.cameraUi);
+    this.cameraUi = new CameraUI(cameraUiConfig(this.config), this.cameraUiPath, Logger, ENV_OPTIONS);
+    this.handler = new Handler(this.api.hap, this.cameraUi, this.config);
 
     for (const camera of this.config.cameras) {
       const device = { ...camera };
@@ -86,7 +105,11 @@ export class HomebridgeCameraUI {
     }
 
     this.api.on('didFinishLaunching', this.init.bind(this));
-    this.api.on('shutdown', () => this.cameraUi.close());
+    this.api.on('shutdown', () => {
+      clearInterval(this.statisticsInterval);
+      this.handler.mqtt.close();
+      this.cameraUi.close();
+    });
 
     this.cameraUi.on('config', this.changeConfig.bind(this));
     this.cameraUi.on('addCamera', this.addCamera.bind(this));
@@ -100,6 +123,56 @@ export class HomebridgeCameraUI {
 
     this.configure();
     this.handler.finishLoading(this.accessories, this.cameraUi);
+
+    for (const cameraAccessory of this.cameraAccessories) {
+      cameraAccessory.checkSourceResolution();
+      cameraAccessory.recordingDelegate?.ensurePrebufferFallback();
+    }
+
+    this.statisticsInterval = setInterval(() => this.storeStreamStatistics(), STATISTICS_INTERVAL);
+  }
+
+  // live stream health (RTCP and FFmpeg progress) of all active HomeKit sessions, optionally for a single camera
+  getStreamStatistics(cameraName) {
+    const statistics = {};
+
+    for (const cameraAccessory of this.cameraAccessories) {
+      const name = cameraAccessory.accessory.displayName;
+
+      if (!cameraName || cameraName === name) {
+        statistics[name] = cameraAccessory.getStreamStatistics();
+      }
+    }
+
+    return statistics;
+  }
+
+  // the config ui runs in its own process and reads the statistics from <storagePath>/camera.ui/stream-statistics.json
+  async storeStreamStatistics() {
+    const statistics = this.getStreamStatistics();
+    const active = Object.values(statistics).some((sessions) => sessions.length > 0);
+
+    // the file is written once more after the last stream stopped
+    if (!active && !this.statisticsActive) {
+      return;
+    }
+
+    this.statisticsActive = active;
+
+    try {
+      await fs.outputJson(
+        path.resolve(this.cameraUiPath, 'stream-statistics.json'),
+        {
+          timestamp: Date.now(),
+          cameras: statistics,
+        },
+        {
+          spaces: 2,
+        }
+      );
+    } catch (error) {
+      this.log.debug(`Can not store stream statistics: ${error.message}`);
+    }
   }
 
   configure() {
@@ -156,8 +229,9 @@ export class HomebridgeCameraUI {
 
         new MotionSensor(this.api, accessory, this.cameraUi, this.handler);
         new DoorbellSensor(this.api, accessory, this.handler);
-        new InterfaceSwitch(this.api, accessory, 'exclude-switch', 'service', this.cameraUi);
-        new InterfaceSwitch(this.api, accessory, 'privacy-switch', 'service', this.cameraUi);
+        new OccupancySensor(this.api, accessory);
+        new InterfaceSwitch(this.api, accessory, 'exclude-switch', 'service', this.cameraUi, this.handler);
+        new InterfaceSwitch(this.api, accessory, 'privacy-switch', 'service', this.cameraUi, this.handler);
 
         const cameraAccessory = new Camera(this.api, accessory, this.config, this.cameraUi, this.handler);
         accessory.configureController(cameraAccessory.controller);
@@ -168,7 +242,7 @@ export class HomebridgeCameraUI {
       case 'athome-switch': {
         accessory.category = this.api.hap.Categories.SWITCH;
 
-        new InterfaceSwitch(this.api, accessory, 'athome-switch', 'accessory', this.cameraUi);
+        new InterfaceSwitch(this.api, accessory, 'athome-switch', 'accessory', this.cameraUi, this.handler);
         break;
       }
       default:
@@ -222,13 +296,33 @@ export class HomebridgeCameraUI {
 
       for (const index in config.platforms) {
         if (config.platforms[index].platform === 'CameraUI') {
+          const previousCameras = config.platforms[index].cameras || [];
+
           for (const [key, value] of Object.entries(configJson)) {
-            config.platforms[index][key] = value;
+            const previousValue = config.platforms[index][key];
+            const carriedOptions = {};
+
+            for (const option of (value && previousValue && pluginOptions[key]) || []) {
+              if (value[option] === undefined && previousValue[option] !== undefined) {
+                carriedOptions[option] = previousValue[option];
+              }
+            }
+
+            config.platforms[index][key] =
+              Object.keys(carriedOptions).length > 0 ? { ...value, ...carriedOptions } : value;
           }
 
           config.platforms[index].cameras = config.platforms[index].cameras.map((camera) => {
             camera.hsv = !camera.recordOnMovement;
             delete camera.recordOnMovement;
+
+            // camera.ui does not know the motion delay (see cameraUiConfig)
+            const previousCamera = previousCameras.find((previous) => previous.name === camera.name);
+
+            if (camera.motionDelay === undefined && previousCamera?.motionDelay !== undefined) {
+              camera.motionDelay = previousCamera.motionDelay;
+            }
+
             return camera;
           });
         }
@@ -239,6 +333,11 @@ export class HomebridgeCameraUI {
       const configPlatform = config.platforms.find((config_) => config_.platform === 'CameraUI');
       this.config = new Config(configPlatform);
 
+      this.handler.mqtt.configure(this.config.mqtt);
+      this.handler.discovery.configure(this.config.mqtt);
+      this.handler.subscribeCommands();
+      this.handler.publishDiscovery();
+
       for (const device of this.config.cameras) {
         const camera = this.cameraAccessories.find((camera) => camera?.accessory?.displayName === device?.name);
 
@@ -316,6 +415,7 @@ export class HomebridgeCameraUI {
       }
 
       this.configure();
+      this.handler.publishDiscovery();
 
       this.log.debug('Camera added to HomeKit and config.json saved!', camera.name);
     } catch (error) {
@@ -349,6 +449,8 @@ export class HomebridgeCameraUI {
       const uuid = this.api.hap.uuid.generate(cameraName);
       this.devices.delete(uuid);
 
+      this.handler.discovery.remove(cameraName);
+
       this.configure();
 
       this.log.debug('Camera removed from HomeKit and config.json saved!', cameraName);
@@ -380,6 +482,10 @@ export class HomebridgeCameraUI {
         this.devices.delete(accessory.UUID);
       }
 
+      for (const accessory of this.handler.getCameraAccessories()) {
+        this.handler.discovery.remove(accessory.displayName);
+      }
+
       this.configure();
 
       this.log.debug('Cameras removed from HomeKit and config.json saved!');
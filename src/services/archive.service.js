@@ -0,0 +1,127 @@
+'use-strict';
+
+import fs from 'fs-extra';
+import path from 'path';
+
+import Logger from '../../services/logger/logger.service.js';
+
+const DAY = 24 * 60 * 60 * 1000;
+const MB = 1024 * 1024;
+
+// recordings also expire while no new recordings are archived
+const RETENTION_INTERVAL = 60 * 60 * 1000;
+
+// <camera>-<ISO timestamp>.mp4, see store
+const ARCHIVE_FILE = /-\d{4}(?:-\d{2}){2}T(?:\d{2}-){3}\d{3}Z\.mp4$/;
+
+export default class ArchiveService {
+  // the archive path is usually shared by all cameras, the retention is scheduled once per path
+  static #scheduled = new Set();
+
+  // options: path, maxAge (days), maxSize (MB), 0 = unlimited
+  constructor(cameraName, options) {
+    this.log = Logger.log;
+    this.cameraName = cameraName;
+
+    this.archivePath = options.path;
+    this.maxAge = options.maxAge;
+    this.maxSize = options.maxSize;
+
+    this.scheduleRetention();
+  }
+
+  // runs the retention on startup and then hourly
+  scheduleRetention() {
+    if (ArchiveService.#scheduled.has(this.archivePath)) {
+      return;
+    }
+
+    ArchiveService.#scheduled.add(this.archivePath);
+
+    this.enforceRetention();
+    setInterval(() => this.enforceRetention(), RETENTION_INTERVAL);
+  }
+
+  // moves the recording into the archive and writes the metadata next to it
+  async store(file, metadata = {}) {
+    const timestamp = new Date(metadata.startTime || Date.now()).toISOString().replace(/[.:]/g, '-');
+    const fileName = `${this.cameraName.replace(/\s+/g, '_')}-${timestamp}`;
+
+    try {
+      await fs.ensureDir(this.archivePath);
+
+      await fs.move(file, path.resolve(this.archivePath, `${fileName}.mp4`));
+      await fs.outputJson(
+        path.resolve(this.archivePath, `${fileName}.json`),
+        {
+          camera: this.cameraName,
+          ...metadata,
+        },
+        { spaces: 2 }
+      );
+
+      this.log.debug(`Recording archived: ${fileName}.mp4`, this.cameraName);
+    } catch (error) {
+      this.log.warn(`Can not archive recording: ${error.message}`, this.cameraName, 'Homebridge');
+      return;
+    }
+
+    await this.enforceRetention();
+  }
+
+  // removes the oldest recordings (of all cameras) exceeding the maximum age or total size
+  // the archive path might contain other videos, only recordings written by store (with metadata) are considered
+  async enforceRetention() {
+    if (!(this.maxAge > 0) && !(this.maxSize > 0)) {
+      return;
+    }
+
+    try {
+      if (!(await fs.pathExists(this.archivePath))) {
+        return;
+      }
+
+      const files = await fs.readdir(this.archivePath);
+      const recordings = [];
+
+      for (const file of files.filter((file) => ARCHIVE_FILE.test(file))) {
+        if (!files.includes(`${path.basename(file, '.mp4')}.json`)) {
+          continue;
+        }
+
+        const stats = await fs.stat(path.resolve(this.archivePath, file));
+
+        recordings.push({
+          name: path.basename(file, '.mp4'),
+          size: stats.size,
+          time: stats.mtimeMs,
+        });
+      }
+
+      recordings.sort((a, b) => a.time - b.time);
+
+      let totalSize = recordings.reduce((size, recording) => size + recording.size, 0);
+
+      for (const recording of recordings) {
+        const expired = this.maxAge > 0 && Date.now() - recording.time > this.maxAge * DAY;
+        const oversized = this.maxSize > 0 && totalSize > this.maxSize * MB;
+
+        if (!expired && !oversized) {
+          break;
+        }
+
+        await fs.remove(path.resolve(this.archivePath, `${recording.name}.mp4`));
+        await fs.remove(path.resolve(this.archivePath, `${recording.name}.json`));
+
+        totalSize -= recording.size;
+
+        this.log.debug(
+          `Removed archived recording ${recording.name}.mp4 (${expired ? 'expired' : 'archive size exceeded'})`,
+          this.cameraName
+        );
+      }
+    } catch (error) {
+      this.log.warn(`Can not clean up archive: ${error.message}`, this.cameraName, 'Homebridge');
+    }
+  }
+}
@@ -0,0 +1,70 @@
+'use-strict';
+
+/**
+ *
+ * Confirmation stage for motion events, tracked per key (camera and trigger source)
+ *
+ * A motion event is confirmed if it persists for "delay" seconds (no reset in the meantime)
+ * or if "triggers" events arrive within "window" seconds.
+ *
+ **/
+
+export default class MotionConfirmation {
+  constructor() {
+    this.entries = new Map();
+  }
+
+  // returns true if the event can be handled immediately, otherwise onConfirm is called once the motion is confirmed
+  check(key, active, options, onConfirm) {
+    const delay = options.delay > 0 ? options.delay * 1000 : 0;
+    const triggers = options.triggers > 1 ? options.triggers : 0;
+
+    if (!delay && !triggers) {
+      return true;
+    }
+
+    const now = Date.now();
+    const entry = this.entries.get(key) || { timer: null, triggers: [] };
+
+    entry.triggers = entry.triggers.filter((time) => now - time <= options.window * 1000);
+
+    if (!active) {
+      // a reset within the delay discards the motion, the sensor was never triggered
+      if (entry.timer) {
+        this.cancel(entry);
+        this.entries.set(key, entry);
+
+        return false;
+      }
+
+      return true;
+    }
+
+    entry.triggers.push(now);
+
+    if (triggers && entry.triggers.length >= triggers) {
+      this.entries.delete(key);
+      this.cancel(entry);
+
+      return true;
+    }
+
+    if (delay && !entry.timer) {
+      entry.timer = setTimeout(() => {
+        this.entries.delete(key);
+        onConfirm();
+      }, delay);
+    }
+
+    this.entries.set(key, entry);
+
+    return false;
+  }
+
+  cancel(entry) {
+    if (entry.timer) {
+      clearTimeout(entry.timer);
+      entry.timer = null;
+    }
+  }
+}
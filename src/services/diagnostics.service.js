@@ -0,0 +1,130 @@
+'use-strict';
+
+import fs from 'fs-extra';
+import path from 'path';
+
+import Logger from '../../services/logger/logger.service.js';
+
+// ordered by specificity, the first match wins
+const failures = [
+  {
+    code: 'VIDEO_PROCESSOR_NOT_FOUND',
+    pattern: /spawn \S+ enoent/i,
+    hint: () => 'The video processor could not be found. Check the "Video Processor" path in the config.',
+  },
+  {
+    code: 'RTSP_UNAUTHORIZED',
+    pattern: /401 unauthorized|method \w+ failed: 401|server returned 401/i,
+    hint: () => 'The camera rejected the credentials. Check username and password in the source url.',
+  },
+  {
+    code: 'RTSP_FORBIDDEN',
+    pattern: /403 forbidden|method \w+ failed: 403|server returned 403/i,
+    hint: () => 'The camera denied access to the stream. Check the user permissions on the camera.',
+  },
+  {
+    code: 'RTSP_NOT_FOUND',
+    pattern: /404 not found|method \w+ failed: 404|server returned 404/i,
+    hint: () => 'The stream was not found on the camera. Check the path of the source url.',
+  },
+  {
+    code: 'CONNECTION_REFUSED',
+    pattern: /connection refused/i,
+    hint: () => 'The camera refused the connection. Check IP address and port of the source url.',
+  },
+  {
+    code: 'CONNECTION_TIMEOUT',
+    pattern: /timed out|connection timeout|no route to host|host is unreachable/i,
+    hint: () => 'The camera did not respond in time. Check whether the camera is online and reachable.',
+  },
+  {
+    code: 'ENCODER_NOT_FOUND',
+    pattern: /unknown encoder '([^']+)'|encoder \(codec (\S+)\) not found|encoder (\S+) not found/i,
+    hint: (match) =>
+      `The encoder "${
+        match.slice(1).find(Boolean) || 'unknown'
+      }" is not available in the video processor. Use a video processor built with it or change the codec in the config.`,
+  },
+  {
+    code: 'UNSUPPORTED_PIXEL_FORMAT',
+    pattern: /incompatible pixel format '([^']+)'|specified pixel format (\S+) is invalid or not supported/i,
+    hint: (match) =>
+      `The pixel format "${
+        match.slice(1).find(Boolean) || 'unknown'
+      }" is not supported by the encoder. Add a format filter to "videoFilter" or change the encoder.`,
+  },
+  {
+    code: 'UNSUPPORTED_INPUT_CODEC',
+    pattern: /decoder \(codec (\S+)\) not found|unsupported codec with id (\d+)|codec (\S+) is not supported/i,
+    hint: (match) =>
+      `The codec "${
+        match.slice(1).find(Boolean) || 'unknown'
+      }" of the camera stream is not supported by the video processor. Change the stream codec on the camera (H264).`,
+  },
+  {
+    code: 'INVALID_INPUT',
+    pattern: /invalid data found when processing input|could not find codec parameters/i,
+    hint: () => 'The camera stream could not be read. Check the source url and "Probe Size" / "Analyze Duration".',
+  },
+];
+
+export default class DiagnosticsService {
+  static #failures = {};
+
+  // maps FFmpeg output and exit code to a stable error code and a human-readable hint
+  static classify(output = [], exitCode) {
+    const text = Array.isArray(output) ? output.join('\n') : String(output);
+
+    for (const failure of failures) {
+      const match = failure.pattern.exec(text);
+
+      if (match) {
+        return {
+          code: failure.code,
+          hint: failure.hint(match),
+          exitCode: exitCode,
+        };
+      }
+    }
+  }
+
+  // the last failure per camera is kept until the same source succeeds again
+  static report(storagePath, cameraName, source, output, exitCode) {
+    const failure = DiagnosticsService.classify(output, exitCode);
+
+    if (failure) {
+      DiagnosticsService.#failures[cameraName] = {
+        ...failure,
+        source: source,
+        timestamp: Date.now(),
+      };
+
+      DiagnosticsService.#store(storagePath, cameraName);
+    }
+
+    return failure;
+  }
+
+  static clear(storagePath, cameraName, source) {
+    if (DiagnosticsService.#failures[cameraName]?.source === source) {
+      delete DiagnosticsService.#failures[cameraName];
+
+      DiagnosticsService.#store(storagePath, cameraName);
+    }
+  }
+
+  static get(cameraName) {
+    return DiagnosticsService.#failures[cameraName];
+  }
+
+  // the failures of all cameras are stored in one file for the config ui
+  static async #store(storagePath, cameraName) {
+    try {
+      await fs.outputJson(path.resolve(storagePath, 'diagnostics.json'), DiagnosticsService.#failures, {
+        spaces: 2,
+      });
+    } catch (error) {
+      Logger.log.debug(`Can not store diagnostics: ${error.message}`, cameraName);
+    }
+  }
+}
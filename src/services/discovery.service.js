@@ -0,0 +1,157 @@
+'use-strict';
+
+import Logger from '../../services/logger/logger.service.js';
+
+const NODE_ID = 'camera_ui';
+
+// the retained states are versioned event payloads (see MqttPublisher)
+const STATE_TEMPLATE = '{{ "ON" if value_json.state else "OFF" }}';
+
+// ids used for unique_id/object_id may only contain [a-zA-Z0-9_-]
+const toId = (name) => name.toLowerCase().replace(/[^\da-z]+/g, '_');
+
+/**
+ *
+ * Home Assistant MQTT discovery (https://www.home-assistant.io/docs/mqtt/discovery/)
+ *
+ * Each camera gets binary sensors for motion and doorbell, switches for exclude and privacy
+ * and a camera entity fed with the latest snapshot. The at home switch is shared by all cameras.
+ * The entities read the retained state topics of the MqttPublisher, switches are set through <state topic>/set.
+ *
+ **/
+
+export default class HomeAssistantDiscovery {
+  constructor(cameraUi, publisher, options = {}) {
+    this.log = Logger.log;
+    this.cameraUi = cameraUi;
+    this.publisher = publisher;
+
+    this.configure(options);
+  }
+
+  configure(options = {}) {
+    this.active = options.homeAssistant === true;
+    this.discoveryPrefix = (options.discoveryPrefix || 'homeassistant').replace(/\/+$/, '');
+  }
+
+  getSnapshotTopic(cameraName) {
+    return this.publisher.getStateTopic(cameraName, 'snapshot');
+  }
+
+  getConfigTopic(component, objectId) {
+    return `${this.discoveryPrefix}/${component}/${NODE_ID}/${objectId}/config`;
+  }
+
+  getEntities(camera) {
+    const id = toId(camera.name);
+
+    const device = {
+      identifiers: [`${NODE_ID}_${id}`],
+      name: camera.name,
+      manufacturer: camera.manufacturer || 'camera.ui',
+      model: camera.model || 'camera.ui',
+    };
+
+    const entity = (component, type, config) => ({
+      topic: this.getConfigTopic(component, `${id}_${type}`),
+      stateTopic: this.publisher.getStateTopic(camera.name, type),
+      config: {
+        name: `${camera.name} ${type.charAt(0).toUpperCase()}${type.slice(1)}`,
+        unique_id: `${NODE_ID}_${id}_${type}`,
+        device: device,
+        ...config,
+      },
+    });
+
+    const binarySensor = (type, config) =>
+      entity('binary_sensor', type, {
+        state_topic: this.publisher.getStateTopic(camera.name, type),
+        value_template: STATE_TEMPLATE,
+        ...config,
+      });
+
+    const switchEntity = (type, config) =>
+      entity('switch', type, {
+        state_topic: this.publisher.getStateTopic(camera.name, type),
+        command_topic: `${this.publisher.getStateTopic(camera.name, type)}/set`,
+        value_template: STATE_TEMPLATE,
+        ...config,
+      });
+
+    return [
+      binarySensor('motion', { device_class: 'motion' }),
+      binarySensor('doorbell', { icon: 'mdi:doorbell' }),
+      switchEntity('exclude', { icon: 'mdi:home-export-outline' }),
+      switchEntity('privacy', { icon: 'mdi:eye-off' }),
+      entity('camera', 'snapshot', {
+        name: camera.name,
+        topic: this.getSnapshotTopic(camera.name),
+      }),
+    ];
+  }
+
+  getAtHomeEntity() {
+    const stateTopic = this.publisher.getStateTopic(undefined, 'athome');
+
+    return {
+      topic: this.getConfigTopic('switch', 'athome'),
+      stateTopic: stateTopic,
+      config: {
+        name: 'camera.ui At Home',
+        unique_id: `${NODE_ID}_athome`,
+        state_topic: stateTopic,
+        command_topic: `${stateTopic}/set`,
+        value_template: STATE_TEMPLATE,
+        icon: 'mdi:home-account',
+      },
+    };
+  }
+
+  // cameras: camera configs (name, manufacturer, model)
+  publish(cameras = []) {
+    const mqttClient = this.publisher.client;
+
+    if (!this.active || !mqttClient?.connected) {
+      return;
+    }
+
+    this.log.debug(`Publishing Home Assistant discovery for ${cameras.length} camera(s)`);
+
+    for (const { topic, config } of [
+      this.getAtHomeEntity(),
+      ...cameras.flatMap((camera) => this.getEntities(camera)),
+    ]) {
+      mqttClient.publish(topic, JSON.stringify(config), { retain: true });
+    }
+  }
+
+  // removes the entities and the retained states of a camera
+  remove(cameraName) {
+    const mqttClient = this.publisher.client;
+
+    if (!this.active || !mqttClient?.connected) {
+      return;
+    }
+
+    this.log.debug('Removing Home Assistant entities', cameraName);
+
+    for (const { topic, stateTopic } of this.getEntities({ name: cameraName })) {
+      mqttClient.publish(topic, '', { retain: true });
+      mqttClient.publish(stateTopic, '', { retain: true });
+    }
+
+    for (const type of ['occupancy', 'recording', 'mute']) {
+      mqttClient.publish(this.publisher.getStateTopic(cameraName, type), '', { retain: true });
+    }
+  }
+
+  publishSnapshot(cameraName, snapshot) {
+    const mqttClient = this.publisher.client;
+
+    if (!this.active || !mqttClient?.connected) {
+      return;
+    }
+
+    mqttClient.publish(this.getSnapshotTopic(cameraName), snapshot, { retain: true });
+  }
+}
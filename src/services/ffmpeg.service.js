@@ -1,11 +1,44 @@
 'use-strict';
 
 import readline from 'readline';
-import { spawn } from 'child_process';
+import { spawn, spawnSync } from 'child_process';
 
 import Logger from '../../services/logger/logger.service.js';
 
+import ProcessScheduler from './scheduler.service.js';
+import FfmpegWatchdog from './watchdog.service.js';
+
 export default class FfmpegProcess {
+  static #encoders = new Map();
+
+  // returns the names of all encoders the video processor was built with
+  static getEncoders(videoProcessor) {
+    if (!FfmpegProcess.#encoders.has(videoProcessor)) {
+      let encoders = [];
+
+      try {
+        const result = spawnSync(videoProcessor, ['-hide_banner', '-encoders'], {
+          env: process.env,
+          timeout: 10000,
+        });
+
+        encoders = (result.stdout?.toString() || '')
+          .split(/\r?\n/)
+          .map((line) => line.trim().split(/\s+/))
+          .filter(
+            (columns) => columns.length > 1 && columns[1] !== '=' && /^[.ASV][.F][.S][.X][.B][.D]$/.test(columns[0])
+          )
+          .map((columns) => columns[1]);
+      } catch (error) {
+        Logger.log.debug(`Can not determine available encoders: ${error.message}`);
+      }
+
+      FfmpegProcess.#encoders.set(videoProcessor, encoders);
+    }
+
+    return FfmpegProcess.#encoders.get(videoProcessor);
+  }
+
   constructor(cameraName, videoDebug, sessionId, videoProcessor, command, delegate, callback) {
     this.log = Logger.log;
 
@@ -14,15 +47,56 @@ export default class FfmpegProcess {
     let started = false;
     const startTime = Date.now();
 
+    // the two-way audio process belongs to the live stream and is not counted
+    const returnAudio = !command.includes('-progress');
+
+    if (!returnAudio) {
+      this.release = ProcessScheduler.claim('stream', cameraName);
+
+      if (!this.release) {
+        // defer, the caller has to store this process before it can be stopped
+        setImmediate(() => {
+          delegate.stopStream(sessionId);
+
+          if (callback) {
+            callback(new Error('FFmpeg process limit reached'));
+          } else {
+            delegate.controller.forceStopStreamingSession(sessionId);
+          }
+        });
+
+        return;
+      }
+    }
+
     this.process = spawn(videoProcessor, command, {
       env: process.env,
     });
 
+    // only processes reporting their progress can be watched
+    if (!returnAudio) {
+      this.watchdog = new FfmpegWatchdog({
+        ...delegate.getWatchdogOptions?.(),
+        onStall: (reason) => {
+          this.log.warn(`FFmpeg stalled: ${reason}. Killing process.`, cameraName, 'Homebridge');
+
+          this.stalled = true;
+          this.process.kill('SIGKILL');
+        },
+      });
+    }
+
     this.process.stdout.on('data', (data) => {
       const progress = this.parseProgress(data);
 
+      if (progress) {
+        this.progress = progress;
+        this.watchdog?.update(progress);
+      }
+
       if (progress && !started && progress.frame > 0) {
         started = true;
+        delegate.clearFailure?.('stream');
         const runtime = (Date.now() - startTime) / 1000;
         const message = `Getting the first frames took ${runtime} seconds.`;
 
@@ -43,12 +117,18 @@ export default class FfmpegProcess {
 
     let errors = [];
 
+    // the last lines are matched against the transient failure patterns
+    this.output = [];
+
     stderr.on('line', (line) => {
       if (callback) {
         callback();
         callback = undefined;
       }
 
+      this.output = this.output.slice(-9);
+      this.output.push(line);
+
       if (/\[(panic|fatal|error)]/.test(line)) {
         errors = errors.slice(-5);
         errors.push(line);
@@ -60,7 +140,9 @@ export default class FfmpegProcess {
     });
 
     this.process.on('error', (error) => {
+      this.release?.();
       this.log.error(`FFmpeg process creation failed: ${error.message}`, cameraName, 'Homebridge');
+      delegate.reportFailure?.('stream', [error.message]);
 
       if (callback) {
         callback(new Error('FFmpeg process creation failed'));
@@ -73,14 +155,24 @@ export default class FfmpegProcess {
       const message = `FFmpeg exited with code: ${code} and signal: ${signal}`;
       errors.unshift(`${message}`);
 
-      if (code == undefined || code === 255) {
+      this.watchdog?.stop();
+      this.release?.();
+
+      if ((code == undefined || code === 255) && !this.stalled) {
         if (this.process.killed) {
           this.log.debug(`${message} (Expected)`, cameraName);
         } else {
           this.log.warn(errors.join(' - '), cameraName, 'Homebridge');
         }
       } else {
-        this.log.error(errors.join(' - '), cameraName, 'Homebridge');
+        // classified failures and stalls are logged with a hint, the raw output is only needed for debugging
+        const failure = delegate.reportFailure?.('stream', this.output, code);
+        this.log[failure || this.stalled ? 'debug' : 'error'](errors.join(' - '), cameraName, 'Homebridge');
+
+        // a pending start request is answered with the error instead
+        if (!callback && delegate.restartStream?.(sessionId, this, code)) {
+          return;
+        }
 
         delegate.stopStream(sessionId);
 
@@ -103,6 +195,7 @@ export default class FfmpegProcess {
       this.socket.close();
     }
 
+    this.watchdog?.stop();
     this.process?.kill('SIGKILL');
   }
 
@@ -2,12 +2,67 @@
 
 import Logger from '../../services/logger/logger.service.js';
 
+import MotionConfirmation from './confirmation.service.js';
+import HomeAssistantDiscovery from './discovery.service.js';
+import MqttPublisher from './mqtt.service.js';
+import SettingsService from './settings.service.js';
+import MotionStormGuard from './storm.service.js';
+
+const switchTypes = {
+  athome: 'At Home',
+  exclude: 'Exclude',
+  privacy: 'Privacy Mode',
+};
+
+// accepts ON/OFF, true/false, 1/0 or {"state": true}
+const parseCommandState = (message) => {
+  let value = message.toString().trim();
+
+  try {
+    const json = JSON.parse(value);
+    value = json !== null && typeof json === 'object' ? json.state : json;
+  } catch {
+    // plain string
+  }
+
+  if (typeof value === 'string') {
+    value = value.toLowerCase();
+  }
+
+  if ([true, 1, 'on', 'true', '1'].includes(value)) {
+    return true;
+  }
+
+  if ([false, 0, 'off', 'false', '0'].includes(value)) {
+    return false;
+  }
+};
+
 export default class Handler {
-  constructor(hap, cameraUi) {
+  constructor(hap, cameraUi, config) {
     this.hap = hap;
     this.log = Logger.log;
     this.cameraUi = cameraUi;
+    this.mqtt = new MqttPublisher(
+      cameraUi,
+      config?.mqtt,
+      () => this.mqttConnected(),
+      (topic, message) => this.commandHandler(topic, message)
+    );
+    this.discovery = new HomeAssistantDiscovery(cameraUi, this.mqtt, config?.mqtt);
+    this.settings = new SettingsService(cameraUi);
     this.motionTimers = new Map();
+    this.occupancyTimers = new Map();
+
+    // what triggered the last motion event of a camera (motion or doorbell)
+    this.motionTriggers = new Map();
+
+    this.motionConfirmation = new MotionConfirmation();
+
+    this.motionStormGuard = new MotionStormGuard(
+      (uuid, until) => this.muteHandler(uuid, true, until),
+      (uuid) => this.muteHandler(uuid, false)
+    );
 
     //handle motion from mqtt/http/smtp/videoanalysis (passed through camera.ui)
     this.cameraUi.on('motion', (cameraName, trigger, state, event) => {
@@ -20,6 +75,116 @@ export default class Handler {
   finishLoading(accessories) {
     this.accessories = accessories;
     this.initialized = true;
+
+    if (this.mqtt.client?.connected) {
+      this.mqttConnected();
+    }
+  }
+
+  // retained states may be outdated after a restart or a reconnect
+  mqttConnected() {
+    if (!this.initialized) {
+      return;
+    }
+
+    // a new camera.ui client (or a clean session) has no subscriptions yet
+    this.commandTopics = undefined;
+
+    this.subscribeCommands();
+    this.publishStates();
+  }
+
+  subscribeCommands() {
+    const mqttClient = this.mqtt.client;
+
+    if (!mqttClient?.connected) {
+      return;
+    }
+
+    // the prefix may have been changed through the interface
+    const topics = this.mqtt.getCommandTopics();
+    const previousTopics = (this.commandTopics || []).filter((topic) => !topics.includes(topic));
+
+    if (previousTopics.length > 0) {
+      mqttClient.unsubscribe(previousTopics);
+    }
+
+    this.log.debug(`Subscribing to MQTT command topics: ${topics.join(', ')}`);
+
+    mqttClient.subscribe(topics);
+    this.commandTopics = topics;
+  }
+
+  getCommandTarget(topic) {
+    if (topic === `${this.mqtt.getStateTopic(undefined, 'athome')}/set`) {
+      return { type: 'athome' };
+    }
+
+    for (const accessory of this.getCameraAccessories()) {
+      for (const type of ['exclude', 'privacy']) {
+        if (topic === `${this.mqtt.getStateTopic(accessory.displayName, type)}/set`) {
+          return { accessory, type };
+        }
+      }
+    }
+  }
+
+  getCameraAccessories() {
+    return (this.accessories || []).filter((accessory) => accessory.context.config?.subtype === 'camera');
+  }
+
+  publishDiscovery() {
+    this.discovery.publish(this.getCameraAccessories().map((accessory) => accessory.context.config));
+  }
+
+  async publishStates() {
+    this.publishDiscovery();
+
+    const settingsDatabase = await this.cameraUi?.database?.interface.chain.get('settings').cloneDeep().value();
+
+    await this.mqtt.publishState(undefined, 'athome', settingsDatabase?.general?.atHome, { source: 'homebridge' });
+
+    for (const accessory of this.getCameraAccessories()) {
+      const cameraSettings = settingsDatabase?.cameras.find((cam) => cam.name === accessory.displayName);
+
+      await this.mqtt.publishState(
+        accessory.displayName,
+        'exclude',
+        (settingsDatabase?.general?.exclude || []).includes(accessory.displayName),
+        { source: 'homebridge' }
+      );
+
+      await this.mqtt.publishState(accessory.displayName, 'privacy', cameraSettings?.privacyMode, {
+        source: 'homebridge',
+      });
+
+      const motionSensor = accessory.getService(this.hap.Service.MotionSensor);
+      const doorbellSensor = accessory.getService(this.hap.Service.Doorbell);
+      const occupancySensor = accessory.getServiceById(this.hap.Service.OccupancySensor, 'occupancy');
+
+      if (motionSensor) {
+        await this.mqtt.publishState(
+          accessory.displayName,
+          'motion',
+          motionSensor.getCharacteristic(this.hap.Characteristic.MotionDetected).value,
+          { source: 'homebridge' }
+        );
+      }
+
+      if (doorbellSensor) {
+        await this.mqtt.publishState(accessory.displayName, 'doorbell', false, { source: 'homebridge' });
+      }
+
+      if (occupancySensor) {
+        await this.mqtt.publishState(
+          accessory.displayName,
+          'occupancy',
+          occupancySensor.getCharacteristic(this.hap.Characteristic.OccupancyDetected).value ===
+            this.hap.Characteristic.OccupancyDetected.OCCUPANCY_DETECTED,
+          { source: 'homebridge' }
+        );
+      }
+    }
   }
 
   async handle(target, name, active, manual, muteDoorbell, event) {
@@ -34,6 +199,11 @@ export default class Handler {
           case 'doorbell':
             await this.doorbellHandler(accessory, active, manual, event);
             break;
+          case 'occupancy':
+          case 'person':
+          case 'object':
+            await this.occupancyHandler(accessory, active, event);
+            break;
           default:
             this.log.error(`Unknown target specified for motion handler (${target})!`, name, 'Homebridge');
         }
@@ -45,11 +215,16 @@ export default class Handler {
     }
   }
 
-  async motionHandler(accessory, active, manual, muteDoorbell, event) {
+  async motionHandler(accessory, active, manual, muteDoorbell, event, confirmed) {
     const motionSensor = accessory.getService(this.hap.Service.MotionSensor);
     const motionTrigger = accessory.getServiceById(this.hap.Service.Switch, 'MotionTrigger');
 
     if (motionSensor) {
+      // events from camera.ui (mqtt/http/smtp/ftp/videoanalysis) must be confirmed, the switch and the doorbell not
+      if (!manual && !muteDoorbell && !confirmed && !this.confirmMotion(accessory, active, event)) {
+        return;
+      }
+
       const activeState = Boolean(active);
       const sensorState = Boolean(motionSensor.getCharacteristic(this.hap.Characteristic.MotionDetected).value);
 
@@ -57,25 +232,22 @@ export default class Handler {
         return;
       }
 
-      const settingsDatabase = await this.cameraUi?.database?.interface.chain.get('settings').cloneDeep().value();
-      const cameraSettings = settingsDatabase?.cameras.find((cam) => cam.name === accessory.displayName);
+      // the switch and the doorbell are never muted
+      if (active && !manual && !muteDoorbell) {
+        const reason = this.motionStormGuard.check(accessory.UUID, {
+          flapEvents: accessory.context.config.motionFlapEvents,
+          flapWindow: accessory.context.config.motionFlapWindow,
+          flapMute: accessory.context.config.motionFlapMute,
+        });
 
-      const mqttClient = this.cameraUi?.motionController?.mqttClient;
-
-      if (mqttClient?.connected && cameraSettings?.mqttTopic) {
-        mqttClient.publish(
-          cameraSettings.mqttTopic,
-          JSON.stringify({
-            camera: accessory.displayName,
-            state: active,
-            type: 'motion',
-            event: event,
-          })
-        );
-      } else {
-        this.log.debug('MQTT client not connected, skip MQTT (notification)..');
+        if (reason) {
+          this.log.info(`Motion ON - Skip motion event, ${reason}!`, accessory.displayName);
+          return;
+        }
       }
 
+      const settingsDatabase = await this.cameraUi?.database?.interface.chain.get('settings').cloneDeep().value();
+
       const doorbellSensor = accessory.getService(this.hap.Service.Doorbell);
       const timeoutConfig = !accessory.context.config.useInterfaceTimer
         ? accessory.context.config.motionTimeout
@@ -117,9 +289,21 @@ export default class Handler {
 
       this.log.info(`Motion ${active ? 'ON' : 'OFF'}`, accessory.displayName);
 
+      if (active) {
+        // the doorbell handler mutes the doorbell when it triggers motion
+        this.motionTriggers.set(accessory.UUID, muteDoorbell ? 'doorbell' : 'motion');
+      } else {
+        this.motionStormGuard.motionStopped(accessory.UUID, accessory.context.config.motionCooldown);
+      }
+
       motionSensor.updateCharacteristic(this.hap.Characteristic.MotionDetected, active ? true : false);
       motionTrigger?.updateCharacteristic(this.hap.Characteristic.On, active ? true : false);
 
+      await this.mqtt.publish(accessory.displayName, 'motion', active, {
+        source: event || (manual ? 'homekit' : 'homebridge'),
+        trigger: muteDoorbell ? 'doorbell' : 'motion',
+      });
+
       if (!accessory.context.config.hsv && manual) {
         this.cameraUi.eventController.triggerEvent('motion', accessory.displayName, active);
       }
@@ -137,11 +321,15 @@ export default class Handler {
             this.log.info('Motion OFF - Motion handler timeout.', accessory.displayName);
 
             this.motionTimers.delete(accessory.UUID);
+            this.motionStormGuard.motionStopped(accessory.UUID, accessory.context.config.motionCooldown);
+
             motionSensor.updateCharacteristic(this.hap.Characteristic.MotionDetected, false);
 
             if (motionTrigger) {
               motionTrigger.updateCharacteristic(this.hap.Characteristic.On, false);
             }
+
+            this.mqtt.publish(accessory.displayName, 'motion', false, { source: 'homebridge', reason: 'timeout' });
           }, timeoutConfig * 1000);
 
           this.motionTimers.set(accessory.UUID, timer);
@@ -156,29 +344,38 @@ export default class Handler {
     }
   }
 
+  confirmMotion(accessory, active, event) {
+    const config = accessory.context.config;
+
+    const options = {
+      delay: config.motionDelay,
+      triggers: config.motionTriggers,
+      window: config.motionTriggerWindow,
+    };
+
+    const confirmed = this.motionConfirmation.check(`${accessory.UUID}:${event}`, active, options, () => {
+      this.log.debug(`Motion confirmed after ${options.delay}s (${event})`, accessory.displayName);
+      this.motionHandler(accessory, true, false, false, event, true).catch((error) =>
+        this.log.error(error, accessory.displayName, 'Homebridge')
+      );
+    });
+
+    if (!confirmed) {
+      this.log.debug(
+        active ? `Motion ON - Waiting for confirmation (${event})` : `Motion OFF - Motion not confirmed (${event})`,
+        accessory.displayName
+      );
+    }
+
+    return confirmed;
+  }
+
   async doorbellHandler(accessory, active, manual, event) {
     const doorbellSensor = accessory.getService(this.hap.Service.Doorbell);
     const doorbellTrigger = accessory.getServiceById(this.hap.Service.Switch, 'DoorbellTrigger');
 
     if (doorbellSensor) {
       const settingsDatabase = await this.cameraUi?.database?.interface.chain.get('settings').cloneDeep().value();
-      const cameraSettings = settingsDatabase.cameras.find((cam) => cam.name === accessory.displayName);
-
-      const mqttClient = this.cameraUi?.motionController?.mqttClient;
-
-      if (mqttClient?.connected && cameraSettings?.mqttTopic) {
-        mqttClient.publish(
-          cameraSettings.mqttTopic,
-          JSON.stringify({
-            camera: accessory.displayName,
-            state: active,
-            type: 'motion',
-            event: event,
-          })
-        );
-      } else {
-        this.log.debug('MQTT client not connected, skip MQTT (notification)..');
-      }
 
       if (manual) {
         const atHome = settingsDatabase?.general?.atHome || false;
@@ -202,15 +399,22 @@ export default class Handler {
 
       doorbellTrigger?.updateCharacteristic(this.hap.Characteristic.On, active ? true : false);
 
+      const source = event || (manual ? 'homekit' : 'homebridge');
+
+      await this.mqtt.publish(accessory.displayName, 'doorbell', active, { source: source });
+
       if (!accessory.context.config.hsv && manual) {
         this.cameraUi.eventController.triggerEvent('doorbell', accessory.displayName, active);
       }
 
       if (active) {
         if (accessory.context.config.hsv) {
-          this.motionHandler(accessory, active, manual, true);
+          this.motionHandler(accessory, active, manual, true, event);
         }
 
+        // a ring is momentary, like the doorbell switch
+        setTimeout(() => this.mqtt.publishState(accessory.displayName, 'doorbell', false, { source: source }), 500);
+
         doorbellSensor.updateCharacteristic(
           this.hap.Characteristic.ProgrammableSwitchEvent,
           this.hap.Characteristic.ProgrammableSwitchEvent.SINGLE_PRESS
@@ -224,4 +428,149 @@ export default class Handler {
       setTimeout(() => doorbellTrigger.updateCharacteristic(this.hap.Characteristic.On, false), 500);
     }
   }
+
+  // HomeKit Secure Video recording turned on/off in the Home app
+  async recordingHandler(accessory, active) {
+    await this.mqtt.publish(accessory.displayName, 'recording', active, { source: 'homekit' });
+  }
+
+  // at home, exclude or privacy switch changed
+  async switchHandler(cameraName, type, state, source) {
+    await this.mqtt.publish(cameraName, type, state, { source: source });
+  }
+
+  // at home, exclude or privacy set through MQTT, acknowledged on the state topic
+  async commandHandler(topic, message) {
+    const target = this.getCommandTarget(topic);
+
+    if (!target) {
+      return;
+    }
+
+    const { accessory, type } = target;
+    const cameraName = accessory?.displayName;
+    const state = parseCommandState(message);
+
+    if (state === undefined) {
+      this.log.warn(`Unknown MQTT command (${message}) for ${topic}, use ON or OFF!`, cameraName, 'Homebridge');
+      return;
+    }
+
+    try {
+      switch (type) {
+        case 'athome':
+          await this.settings.setAtHome(state);
+          break;
+        case 'exclude':
+          await this.settings.setExclude(cameraName, state);
+          break;
+        case 'privacy':
+          await this.settings.setPrivacy(cameraName, state);
+          break;
+        // No default
+      }
+
+      this.log.info(`${switchTypes[type]}: ${state} (MQTT)`, cameraName);
+
+      // the HomeKit switches are updated immediately, their set handlers are not called again
+      const switchAccessories = type === 'athome' ? this.accessories || [] : [accessory];
+
+      for (const switchAccessory of switchAccessories) {
+        switchAccessory
+          .getServiceById(this.hap.Service.Switch, `${type}-switch`)
+          ?.updateCharacteristic(this.hap.Characteristic.On, state);
+      }
+
+      await this.mqtt.publish(cameraName, type, state, { source: 'mqtt' });
+    } catch (error) {
+      this.log.info(`An error occurred during setting ${switchTypes[type]} state through MQTT!`, cameraName);
+      this.log.error(error, cameraName, 'Homebridge');
+
+      // the state may have been written partially or not at all
+      let currentState;
+
+      try {
+        currentState = await this.settings.getState(type, cameraName);
+      } catch {
+        currentState = (type === 'athome' ? this.accessories || [] : [accessory])
+          .map((switchAccessory) => switchAccessory.getServiceById(this.hap.Service.Switch, `${type}-switch`))
+          .find(Boolean)
+          ?.getCharacteristic(this.hap.Characteristic.On).value;
+      }
+
+      if (currentState !== undefined) {
+        await this.mqtt.publish(cameraName, type, currentState, { source: 'mqtt', error: error.message });
+      }
+    }
+  }
+
+  // camera muted/unmuted by the motion storm protection
+  async muteHandler(uuid, muted, until) {
+    const accessory = this.accessories?.find((accessory) => accessory.UUID === uuid);
+
+    if (!accessory) {
+      return;
+    }
+
+    if (muted) {
+      this.log.warn(
+        `Too many motion events, motion is muted until ${new Date(until).toLocaleTimeString()}`,
+        accessory.displayName,
+        'Homebridge'
+      );
+    } else {
+      this.log.info('Motion is no longer muted', accessory.displayName);
+    }
+
+    await this.mqtt.publish(accessory.displayName, 'mute', muted, {
+      source: 'homebridge',
+      reason: 'flapping',
+      until: muted ? new Date(until).toISOString() : undefined,
+    });
+  }
+
+  async occupancyHandler(accessory, active, event) {
+    const occupancySensor = accessory.getServiceById(this.hap.Service.OccupancySensor, 'occupancy');
+
+    if (occupancySensor) {
+      const activeState = active
+        ? this.hap.Characteristic.OccupancyDetected.OCCUPANCY_DETECTED
+        : this.hap.Characteristic.OccupancyDetected.OCCUPANCY_NOT_DETECTED;
+      const timeout = this.occupancyTimers.get(accessory.UUID);
+
+      if (timeout) {
+        clearTimeout(timeout);
+        this.occupancyTimers.delete(accessory.UUID);
+      }
+
+      if (active && accessory.context.config.occupancyTimeout > 0) {
+        // every new person/object event extends the occupancy
+        const timer = setTimeout(() => {
+          this.log.info('Occupancy OFF - Occupancy handler timeout.', accessory.displayName);
+
+          this.occupancyTimers.delete(accessory.UUID);
+          occupancySensor.updateCharacteristic(
+            this.hap.Characteristic.OccupancyDetected,
+            this.hap.Characteristic.OccupancyDetected.OCCUPANCY_NOT_DETECTED
+          );
+
+          this.mqtt.publish(accessory.displayName, 'occupancy', false, { source: 'homebridge', reason: 'timeout' });
+        }, accessory.context.config.occupancyTimeout * 1000);
+
+        this.occupancyTimers.set(accessory.UUID, timer);
+      }
+
+      if (activeState === occupancySensor.getCharacteristic(this.hap.Characteristic.OccupancyDetected).value) {
+        return;
+      }
+
+      this.log.info(`Occupancy ${active ? 'ON' : 'OFF'}`, accessory.displayName);
+
+      occupancySensor.updateCharacteristic(this.hap.Characteristic.OccupancyDetected, activeState);
+
+      await this.mqtt.publish(accessory.displayName, 'occupancy', active, { source: event || 'homebridge' });
+    } else {
+      this.log.debug('Occupancy is not enabled for this camera.');
+    }
+  }
 }
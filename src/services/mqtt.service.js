@@ -0,0 +1,162 @@
+'use-strict';
+
+import Logger from '../../services/logger/logger.service.js';
+
+// increased on breaking changes of the payload
+const SCHEMA_VERSION = 1;
+
+/**
+ *
+ * Publishes the plugin events to MQTT
+ *
+ * Everything is sent through the MQTT client of camera.ui. camera.ui replaces its client when it is restarted
+ * through the interface, the listeners are moved to the new client as soon as it is noticed.
+ * camera.ui logs a warning for every incoming message it can not assign to a camera (e.g. commands).
+ *
+ * Events are sent to the camera.ui "MQTT Publish Topic" of the camera, the current state of each sensor
+ * is retained under <topicPrefix>/<camera>/<type> (motion, doorbell, occupancy, recording, mute, exclude, privacy)
+ * and <topicPrefix>/athome.
+ *
+ * Payload (version 1):
+ * {
+ *   version: 1,
+ *   camera: 'Front Door',
+ *   type: 'motion' | 'doorbell' | 'occupancy' | 'recording' | 'mute' | 'exclude' | 'privacy' | 'athome',
+ *   state: true | false,
+ *   source: 'mqtt' | 'http' | 'smtp' | 'ftp' | 'videoanalysis' | 'extern' | 'homekit' | 'homebridge',
+ *   timestamp: '2022-01-01T00:00:00.000Z',
+ *   atHome: false,
+ *   excluded: false,
+ *   event: <source>, // deprecated, payloads before version 1
+ *   ... type specific details, e.g. reason and until (mute)
+ * }
+ *
+ **/
+
+export default class MqttPublisher {
+  #boundClient = null;
+  #listeners;
+
+  constructor(cameraUi, options = {}, onConnect, onMessage) {
+    this.log = Logger.log;
+    this.cameraUi = cameraUi;
+
+    this.#listeners = {
+      connect: () => onConnect?.(),
+      message: (topic, message) => onMessage?.(topic, message),
+    };
+
+    // camera.ui does not announce a new client
+    this.bindTimer = setInterval(() => this.client, 10000);
+    this.bindTimer.unref?.();
+
+    this.configure(options);
+  }
+
+  // the instance property of the motion controller keeps the first client, the static one is replaced
+  get client() {
+    const motionController = this.cameraUi?.motionController;
+    const client = motionController?.constructor?.mqttClient || motionController?.mqttClient || null;
+
+    if (client !== this.#boundClient) {
+      this.#bind(client);
+    }
+
+    return client;
+  }
+
+  configure(options = {}) {
+    this.topicPrefix = (options.topicPrefix || 'camera.ui').replace(/\/+$/, '');
+  }
+
+  #bind(client) {
+    this.#unbind();
+
+    if (!client) {
+      return;
+    }
+
+    this.log.debug('Listening to the camera.ui MQTT client');
+
+    this.#boundClient = client;
+
+    for (const [event, listener] of Object.entries(this.#listeners)) {
+      client.on(event, listener);
+    }
+
+    // the broker sends the retained states again after a reconnect
+    if (client.connected) {
+      setImmediate(() => this.#listeners.connect());
+    }
+  }
+
+  #unbind() {
+    for (const [event, listener] of Object.entries(this.#listeners)) {
+      this.#boundClient?.removeListener(event, listener);
+    }
+
+    this.#boundClient = null;
+  }
+
+  // the client belongs to camera.ui and is closed by it
+  close() {
+    clearInterval(this.bindTimer);
+    this.#unbind();
+  }
+
+  // camera names may contain characters with a special meaning in MQTT topics
+  // states without camera (e.g. at home) are published to <topicPrefix>/<type>
+  getStateTopic(cameraName, type) {
+    return cameraName
+      ? `${this.topicPrefix}/${cameraName.replace(/[\s#+/]+/g, '_')}/${type}`
+      : `${this.topicPrefix}/${type}`;
+  }
+
+  // at home, exclude and privacy can be set through <state topic>/set
+  getCommandTopics() {
+    return [`${this.topicPrefix}/athome/set`, `${this.topicPrefix}/+/exclude/set`, `${this.topicPrefix}/+/privacy/set`];
+  }
+
+  // sends the event and updates the retained state
+  async publish(cameraName, type, state, details = {}) {
+    await this.#send(cameraName, type, state, details, true);
+  }
+
+  // updates the retained state only, e.g. after a restart
+  async publishState(cameraName, type, state, details = {}) {
+    await this.#send(cameraName, type, state, details, false);
+  }
+
+  async #send(cameraName, type, state, details, sendEvent) {
+    const mqttClient = this.client;
+
+    if (!mqttClient?.connected) {
+      this.log.debug('MQTT client not connected, skip MQTT (notification)..');
+      return;
+    }
+
+    const settingsDatabase = await this.cameraUi?.database?.interface.chain.get('settings').cloneDeep().value();
+    const cameraSettings = settingsDatabase?.cameras.find((cam) => cam.name === cameraName);
+
+    const { source, ...rest } = details;
+
+    const payload = JSON.stringify({
+      version: SCHEMA_VERSION,
+      camera: cameraName,
+      type: type,
+      state: Boolean(state),
+      source: source,
+      timestamp: new Date().toISOString(),
+      atHome: settingsDatabase?.general?.atHome || false,
+      excluded: (settingsDatabase?.general?.exclude || []).includes(cameraName),
+      event: source,
+      ...rest,
+    });
+
+    if (sendEvent && cameraSettings?.mqttTopic) {
+      mqttClient.publish(cameraSettings.mqttTopic, payload);
+    }
+
+    mqttClient.publish(this.getStateTopic(cameraName, type), payload, { retain: true });
+  }
+}
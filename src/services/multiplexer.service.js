@@ -0,0 +1,212 @@
+'use-strict';
+
+import { createSocket } from 'dgram';
+import { once } from 'events';
+
+import Logger from '../../services/logger/logger.service.js';
+
+import SrtpSession from './srtp.service.js';
+
+const isRtcp = (packet) => packet.length > 8 && packet[1] >= 192 && packet[1] <= 223;
+
+// index: the srtp packet indexes already used by a native encoder (see CameraDelegate.getContinuation)
+const createTarget = (payloadType, ssrc, port, srtp, clockRate, index) => ({
+  payloadType: payloadType,
+  ssrc: ssrc,
+  port: port,
+  srtp: new SrtpSession(srtp, index),
+  clockRate: clockRate,
+  sequence: index ? index.rtp % 65_536 : undefined,
+});
+
+export default class StreamMultiplexer {
+  constructor(cameraName, key) {
+    this.log = Logger.log;
+    this.cameraName = cameraName;
+    this.key = key;
+
+    this.viewers = new Map();
+    this.process = null;
+
+    this.videoSocket = createSocket('udp4');
+    this.audioSocket = createSocket('udp4');
+
+    this.videoSocket.on('message', (packet) => this.relay(packet, 'video'));
+    this.audioSocket.on('message', (packet) => this.relay(packet, 'audio'));
+
+    for (const socket of [this.videoSocket, this.audioSocket]) {
+      socket.on('error', (error) => {
+        this.log.debug(`Multiplexer socket error: ${error.message}`, this.cameraName);
+      });
+    }
+  }
+
+  // the shared encoder sends plain RTP to these local ports
+  async bind() {
+    this.videoSocket.bind(0, '127.0.0.1');
+    this.audioSocket.bind(0, '127.0.0.1');
+
+    await Promise.all([once(this.videoSocket, 'listening'), once(this.audioSocket, 'listening')]);
+
+    return {
+      videoPort: this.videoSocket.address().port,
+      audioPort: this.audioSocket.address().port,
+    };
+  }
+
+  // the relay state of a viewer is kept in its session, a viewer moved to another encoder (reconfigure)
+  // keeps its srtp context, sequence numbers and timestamps
+  addViewer(sessionId, activeSession) {
+    const { request, sessionInfo, socket, continuation } = activeSession;
+
+    let relay = activeSession.relay;
+
+    if (!relay) {
+      relay = {
+        video: createTarget(
+          request.video.pt,
+          sessionInfo.videoSSRC,
+          sessionInfo.videoPort,
+          sessionInfo.videoSRTP,
+          90000,
+          continuation?.video
+        ),
+        audio: createTarget(
+          request.audio.pt,
+          sessionInfo.audioSSRC,
+          sessionInfo.audioPort,
+          sessionInfo.audioSRTP,
+          // the rtp clock rate of opus is always 48000 (RFC 7587)
+          request.audio.codec === 'OPUS' ? 48000 : request.audio.sample_rate * 1000,
+          continuation?.audio
+        ),
+      };
+
+      relay.video.socket = socket;
+      relay.audio.socket = createSocket(sessionInfo.ipv6 ? 'udp6' : 'udp4');
+
+      activeSession.relay = relay;
+    }
+
+    this.viewers.set(sessionId, {
+      sessionInfo: sessionInfo,
+      video: relay.video,
+      audio: relay.audio,
+    });
+
+    this.resync(sessionId);
+
+    return this.viewers.size;
+  }
+
+  removeViewer(sessionId) {
+    this.viewers.delete(sessionId);
+    return this.viewers.size;
+  }
+
+  static closeViewer(activeSession) {
+    try {
+      activeSession.relay?.audio.socket.close();
+    } catch {
+      // ignore
+    }
+
+    activeSession.relay = undefined;
+  }
+
+  // a new encoder starts with its own sequence numbers and timestamps,
+  // the offsets are calculated again with its first packet (see rewrite)
+  resync(sessionId) {
+    for (const [viewerId, viewer] of this.viewers) {
+      if (!sessionId || viewerId === sessionId) {
+        viewer.video.offset = undefined;
+        viewer.audio.offset = undefined;
+      }
+    }
+  }
+
+  // continues the sequence numbers and timestamps of the viewer across encoder restarts,
+  // a restarted sequence would be dropped by HomeKit as replayed packets and reuse the srtp keystream
+  rewrite(packet, target) {
+    const sequence = packet.readUInt16BE(2);
+    const timestamp = packet.readUInt32BE(4);
+    const now = Date.now();
+
+    if (!target.offset) {
+      const nextSequence = target.sequence === undefined ? sequence : target.sequence + 1;
+      const nextTimestamp =
+        target.timestamp === undefined
+          ? timestamp
+          : target.timestamp + Math.round(((now - target.sent) / 1000) * target.clockRate);
+
+      target.offset = {
+        sequence: (nextSequence - sequence) & 65_535,
+        timestamp: (nextTimestamp - timestamp) >>> 0,
+      };
+    }
+
+    target.sequence = (sequence + target.offset.sequence) & 65_535;
+    target.timestamp = (timestamp + target.offset.timestamp) >>> 0;
+    target.sent = now;
+
+    packet[1] = (packet[1] & 0x80) | target.payloadType;
+    packet.writeUInt16BE(target.sequence, 2);
+    packet.writeUInt32BE(target.timestamp, 4);
+    packet.writeUInt32BE(target.ssrc >>> 0, 8);
+  }
+
+  relay(packet, type) {
+    const rtcp = isRtcp(packet);
+
+    for (const viewer of this.viewers.values()) {
+      const target = viewer[type];
+
+      if (rtcp && !target.offset) {
+        // sender reports are relayed once the offsets of the current encoder are known
+        continue;
+      }
+
+      const copy = Buffer.from(packet);
+
+      if (rtcp) {
+        // rewrite the sender ssrc of each packet in the compound packet (SR, SDES)
+        for (let offset = 0; offset + 8 <= copy.length; offset += (copy.readUInt16BE(offset + 2) + 1) * 4) {
+          copy.writeUInt32BE(target.ssrc >>> 0, offset + 4);
+
+          // the rtp timestamp of a sender report must match the rewritten packets
+          if (copy[offset + 1] === 200 && offset + 20 <= copy.length) {
+            copy.writeUInt32BE((copy.readUInt32BE(offset + 16) + target.offset.timestamp) >>> 0, offset + 16);
+          }
+        }
+      } else {
+        this.rewrite(copy, target);
+      }
+
+      const encrypted = rtcp ? target.srtp.protectRtcp(copy) : target.srtp.protectRtp(copy);
+
+      target.socket.send(encrypted, target.port, viewer.sessionInfo.address, (error) => {
+        if (error) {
+          this.log.debug(`Can not relay ${type} packet: ${error.message}`, this.cameraName);
+        }
+      });
+    }
+  }
+
+  close() {
+    if (this.restartTimer) {
+      clearTimeout(this.restartTimer);
+    }
+
+    this.viewers.clear();
+
+    this.process?.stop();
+
+    for (const socket of [this.videoSocket, this.audioSocket]) {
+      try {
+        socket.close();
+      } catch {
+        // ignore
+      }
+    }
+  }
+}
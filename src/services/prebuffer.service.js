@@ -0,0 +1,319 @@
+'use-strict';
+
+import * as cameraUtils from 'camera.ui/src/controller/camera/utils/camera.utils.js';
+import { createServer } from 'net';
+import { EventEmitter } from 'events';
+import { spawn } from 'child_process';
+
+import Logger from '../../services/logger/logger.service.js';
+
+import FfmpegProcess from './ffmpeg.service.js';
+import FfmpegWatchdog from './watchdog.service.js';
+
+const START_TIMEOUT = 15000;
+const RESTART_DELAY = 10000;
+const CONNECT_TIMEOUT = 30000;
+
+// audio codecs that can be copied into the mp4 container
+const compatibleAudio = /(aac)/;
+
+/**
+ *
+ * Rolling buffer of the last fragments of the camera stream (fragmented mp4, video copied, audio copied or AAC)
+ * Used as fallback if the camera.ui prebuffer is disabled or not available
+ *
+ **/
+
+export default class RollingPrebuffer {
+  constructor(cameraName, config, videoProcessor, cameraUi) {
+    this.log = Logger.log;
+    this.cameraName = cameraName;
+    this.config = config;
+    this.videoProcessor = videoProcessor;
+    this.cameraUi = cameraUi;
+
+    this.events = new EventEmitter();
+    this.events.setMaxListeners(0);
+
+    this.active = false;
+    this.generation = 0;
+    this.session = null;
+    this.initSegment = null;
+    this.fragments = [];
+  }
+
+  isRunning() {
+    return Boolean(this.session && this.initSegment);
+  }
+
+  // starts the buffer once, further calls are ignored
+  start() {
+    if (this.active) {
+      return;
+    }
+
+    this.active = true;
+    this.startSession();
+  }
+
+  stop() {
+    if (!this.active) {
+      return;
+    }
+
+    this.log.debug('Stopping plugin prebuffer', this.cameraName);
+
+    this.active = false;
+    this.generation++;
+
+    if (this.restartTimer) {
+      clearTimeout(this.restartTimer);
+      this.restartTimer = null;
+    }
+
+    this.stopSession();
+  }
+
+  async startSession() {
+    const videoConfig = cameraUtils.generateVideoConfig(this.config.videoConfig);
+
+    // a stop (and start) in the meantime makes this session obsolete
+    const generation = this.generation;
+
+    this.log.debug('Starting plugin prebuffer', this.cameraName);
+
+    // the session is set up here instead of camera.ui (startFFMPegFragmetedMP4Session) to close
+    // the server and the process if FFmpeg does not connect
+    const session = {
+      server: createServer(),
+    };
+
+    this.session = session;
+
+    let timeout;
+
+    try {
+      const port = await cameraUtils.listenServer(session.server);
+
+      if (generation !== this.generation) {
+        throw new Error('Stopped');
+      }
+
+      session.cp = this.spawnProcess(videoConfig, port);
+
+      session.socket = await new Promise((resolve, reject) => {
+        timeout = setTimeout(() => reject(new Error('FFmpeg did not connect in time')), START_TIMEOUT);
+
+        session.server.once('connection', resolve);
+        session.cp.once('error', reject);
+        session.cp.once('exit', (code, signal) => reject(new Error(`FFmpeg exited with code ${code} (${signal})`)));
+      });
+
+      clearTimeout(timeout);
+      session.server.close();
+
+      if (generation !== this.generation) {
+        throw new Error('Stopped');
+      }
+
+      await this.consume(session, cameraUtils.parseFragmentedMP4(session.socket));
+    } catch (error) {
+      clearTimeout(timeout);
+      this.log.debug(`Plugin prebuffer interrupted: ${error.message || error}`, this.cameraName);
+    }
+
+    this.closeSession(session);
+
+    if (generation === this.generation) {
+      this.stopSession();
+
+      if (this.active) {
+        this.restartTimer = setTimeout(() => this.startSession(), RESTART_DELAY);
+      }
+    }
+  }
+
+  spawnProcess(videoConfig, port) {
+    const ffmpegArguments = [
+      '-hide_banner',
+      '-loglevel',
+      'error',
+      ...cameraUtils.generateInputSource(videoConfig).split(/\s+/),
+      '-f',
+      'mp4',
+      '-vcodec',
+      'copy',
+      ...this.getAudioArguments(videoConfig),
+      '-movflags',
+      'frag_keyframe+empty_moov+default_base_moof',
+      '-max_muxing_queue_size',
+      '1024',
+      `tcp://127.0.0.1:${port}`,
+    ];
+
+    this.log.debug(`Plugin prebuffer command: ${this.videoProcessor} ${ffmpegArguments.join(' ')}`, this.cameraName);
+
+    const cp = spawn(this.videoProcessor, ffmpegArguments, { env: process.env });
+
+    cp.stderr.on('data', (data) => {
+      this.log.debug(data.toString().trim(), this.cameraName);
+    });
+
+    return cp;
+  }
+
+  // PCM and G.711 can not be stored in mp4, such audio is transcoded to AAC
+  // without a probed audio stream (not found or timed out) the audio is dropped
+  getAudioArguments(videoConfig) {
+    const controller = this.cameraUi?.cameraController?.get(this.cameraName);
+    const probeAudio = controller?.media?.codecs?.audio || [];
+
+    if (!videoConfig.audio || probeAudio.length === 0) {
+      return ['-an'];
+    }
+
+    if (probeAudio.some((codec) => compatibleAudio.test(codec))) {
+      return ['-bsf:a', 'aac_adtstoasc', '-acodec', 'copy'];
+    }
+
+    const encoders = FfmpegProcess.getEncoders(this.videoProcessor);
+    const encoder = encoders.length === 0 || encoders.includes('libfdk_aac') ? 'libfdk_aac' : 'aac';
+
+    this.log.debug(`Incompatible audio stream detected ${probeAudio}, transcoding with "${encoder}"`, this.cameraName);
+
+    return ['-acodec', encoder, '-profile:a', 'aac_low', '-b:a', '64k', '-ac', '1'];
+  }
+
+  async consume(session, generator) {
+    const watchdog = new FfmpegWatchdog({
+      timeout: this.config.videoConfig.watchdogTimeout,
+      onStall: (reason) => {
+        this.log.warn(`Plugin prebuffer stalled: ${reason}. Restarting.`, this.cameraName, 'Homebridge');
+        session.cp?.kill('SIGKILL');
+      },
+    });
+
+    let init = [];
+    let pending = [];
+
+    try {
+      for await (const box of generator) {
+        watchdog.touch();
+
+        const { header, type, data } = box;
+
+        if (!this.initSegment) {
+          init.push(header, data);
+
+          if (type === 'moov') {
+            this.initSegment = Buffer.concat(init);
+            init = [];
+          }
+
+          continue;
+        }
+
+        pending.push(header, data);
+
+        // every moof/mdat pair starts with a keyframe (frag_keyframe)
+        if (type === 'mdat') {
+          const fragment = {
+            time: Date.now(),
+            data: Buffer.concat(pending),
+          };
+
+          pending = [];
+
+          this.fragments.push(fragment);
+          this.trim();
+
+          this.events.emit('fragment', fragment.data);
+        }
+      }
+    } finally {
+      watchdog.stop();
+    }
+  }
+
+  trim() {
+    const maxAge = Date.now() - (this.config.prebufferLength + 2) * 1000;
+
+    // the newest fragment is always kept, it is the only one that starts with the latest keyframe
+    while (this.fragments.length > 1 && this.fragments[0].time < maxAge) {
+      this.fragments.shift();
+    }
+  }
+
+  closeSession(session) {
+    try {
+      session.server.close();
+    } catch {
+      // ignore
+    }
+
+    session.socket?.destroy();
+    session.cp?.kill('SIGKILL');
+  }
+
+  stopSession() {
+    if (this.session) {
+      this.closeSession(this.session);
+      this.session = null;
+    }
+
+    this.initSegment = null;
+    this.fragments = [];
+
+    this.events.emit('killed');
+  }
+
+  // returns FFmpeg input arguments for a local server sending the buffered and then the live fragments
+  // without options.prebuffer (seconds) the stream starts at the latest keyframe
+  async getVideo(options = {}) {
+    if (!this.isRunning()) {
+      throw new Error('Plugin prebuffer not running!');
+    }
+
+    const requestedPrebuffer = (options.prebuffer || 0) * 1000;
+
+    const server = createServer((socket) => {
+      server.close();
+
+      const now = Date.now();
+      const fragments = this.fragments.filter((fragment) => fragment.time >= now - requestedPrebuffer);
+
+      const write = (data) => {
+        socket.write(data);
+
+        if (socket.writableLength > 100000000) {
+          this.log.debug('More than 100MB has been buffered, killing prebuffer connection', this.cameraName);
+          cleanup();
+        }
+      };
+
+      const cleanup = () => {
+        this.events.removeListener('fragment', write);
+        this.events.removeListener('killed', cleanup);
+        socket.destroy();
+      };
+
+      write(this.initSegment);
+
+      for (const fragment of fragments.length > 0 ? fragments : this.fragments.slice(-1)) {
+        write(fragment.data);
+      }
+
+      this.events.on('fragment', write);
+      this.events.once('killed', cleanup);
+
+      socket.on('close', cleanup);
+      socket.on('error', cleanup);
+    });
+
+    const port = await cameraUtils.listenServer(server);
+
+    setTimeout(() => server.close(), CONNECT_TIMEOUT);
+
+    return ['-analyzeduration', '0', '-probesize', '500000', '-f', 'mp4', '-i', `tcp://127.0.0.1:${port}`];
+  }
+}
@@ -2,14 +2,36 @@
 'use-strict';
 
 import * as cameraUtils from 'camera.ui/src/controller/camera/utils/camera.utils.js';
+import { once } from 'events';
+import { randomBytes } from 'crypto';
+import fs from 'fs-extra';
+import path from 'path';
 
 import Logger from '../../services/logger/logger.service.js';
 
+import ArchiveService from './archive.service.js';
+import DiagnosticsService from './diagnostics.service.js';
+import FfmpegProcess from './ffmpeg.service.js';
+import ProcessScheduler from './scheduler.service.js';
+import FfmpegWatchdog from './watchdog.service.js';
+
 const MAX_RECORDING_TIME = 3;
 const compatibleAudio = /(aac)/;
 
+// a running plugin prebuffer is stopped once the camera.ui prebuffer is up (again)
+const PREBUFFER_CHECK_INTERVAL = 60000;
+
+const clamp = (value, limit) => (limit > 0 ? Math.min(value, limit) : value);
+
+// scales the resolution down to the limits, keeping the aspect ratio
+const clampResolution = (width, height, maxWidth, maxHeight) => {
+  const factor = Math.min(1, maxWidth > 0 ? maxWidth / width : 1, maxHeight > 0 ? maxHeight / height : 1);
+
+  return [Math.round((width * factor) / 2) * 2, Math.round((height * factor) / 2) * 2];
+};
+
 export default class RecordingDelegate {
-  constructor(api, accessory, config, cameraUi, handler) {
+  constructor(api, accessory, config, cameraUi, handler, prebuffer) {
     this.api = api;
     this.log = Logger.log;
     this.config = config;
@@ -17,6 +39,7 @@ export default class RecordingDelegate {
 
     this.handler = handler;
     this.cameraUi = cameraUi;
+    this.prebuffer = prebuffer;
 
     this.configuration = {};
     this.handlingStreamingRequest = false;
@@ -24,6 +47,69 @@ export default class RecordingDelegate {
 
     this.closeReason = null;
     this.forceCloseTimer = null;
+
+    this.recordingActive = undefined;
+    this.paused = {
+      prebuffer: false,
+      videoanalysis: false,
+    };
+
+    // fragments are spooled to disk while recording, the memory usage no longer grows with each fragment
+    // the finished clip is copied into the camera.ui recordings (see storeRecording)
+    this.spoolPath = path.resolve(
+      this.api.user.storagePath(),
+      'camera.ui',
+      'spool',
+      this.accessory.displayName.replace(/\s+/g, '_')
+    );
+
+    // partial files of recordings interrupted by a restart
+    fs.remove(this.spoolPath).catch(() => {});
+
+    if (config.archive?.active) {
+      this.archive = new ArchiveService(this.accessory.displayName, {
+        ...config.archive,
+        path: config.archive.path || path.resolve(this.api.user.storagePath(), 'camera.ui', 'archive'),
+      });
+    }
+  }
+
+  async createSpoolFile() {
+    try {
+      await fs.ensureDir(this.spoolPath);
+    } catch {
+      // ignore, the write stream reports the error
+    }
+
+    const file = path.resolve(this.spoolPath, `${Date.now()}.mp4`);
+    const stream = fs.createWriteStream(file);
+
+    stream.on('error', (error) => {
+      this.log.warn(`Can not write recording to disk: ${error.message}`, this.accessory.displayName, 'Homebridge');
+    });
+
+    return {
+      file: file,
+      stream: stream,
+      size: 0,
+    };
+  }
+
+  // a failing disk must not interrupt the recording sent to HomeKit
+  async writeSpoolFile(spool, fragment) {
+    if (spool.stream.destroyed) {
+      return;
+    }
+
+    spool.size += fragment.length;
+
+    try {
+      if (!spool.stream.write(fragment)) {
+        await once(spool.stream, 'drain');
+      }
+    } catch {
+      // ignore, already logged
+    }
   }
 
   // eslint-disable-next-line no-unused-vars
@@ -65,6 +151,26 @@ export default class RecordingDelegate {
       }
     }
 
+    this.ensurePrebufferFallback();
+
+    if (!prebufferInput && !hksvSource && this.prebuffer?.isRunning()) {
+      try {
+        this.log.debug('Setting plugin prebuffer stream as input', this.accessory.displayName);
+
+        const input = await this.prebuffer.getVideo({
+          prebuffer: this.accessory.context.config.prebufferLength,
+        });
+
+        ffmpegInput = prebufferInput = [...input];
+      } catch (error) {
+        this.log.warn(
+          `Can not access plugin prebuffer stream, skipping: ${error}`,
+          this.accessory.displayName,
+          'Homebridge'
+        );
+      }
+    }
+
     const videoArguments = [];
     const audioArguments = [];
 
@@ -76,26 +182,32 @@ export default class RecordingDelegate {
       audioArguments.push('-map', videoConfig.mapaudio);
     }
 
-    let acodec = this.accessory.context.config.hksvConfig?.acodec || videoConfig.acodec;
-    let vcodec = this.accessory.context.config.hksvConfig?.vcodec || videoConfig.vcodec;
+    const hksvConfig = this.accessory.context.config.hksvConfig || {};
+    const { audioCodec, videoCodec } = this.configuration;
+
+    let acodec = hksvConfig.acodec || videoConfig.acodec;
+    let vcodec = hksvConfig.vcodec || videoConfig.vcodec;
 
-    let audioEnabled = this.accessory.context.config.hksvConfig?.audio || videoConfig.audio;
+    let audioEnabled = hksvConfig.audio || videoConfig.audio;
     let audioSourceFound = controller?.media.codecs.audio.length;
     let probeAudio = controller?.media.codecs.audio;
     let incompatibleAudio = audioSourceFound && !probeAudio.some((codec) => compatibleAudio.test(codec));
     //let probeTimedOut = controller?.media.codecs.timedout;
 
+    const samplerate = this.getRecordingSamplerate(audioCodec.samplerate);
+    const eld = audioCodec.type === this.api.hap.AudioRecordingCodecType.AAC_ELD;
+
     if (audioEnabled) {
       if (audioSourceFound) {
-        if (incompatibleAudio && acodec !== 'libfdk_aac') {
+        if (incompatibleAudio && acodec === 'copy') {
           this.log.debug(
-            `Incompatible audio stream detected ${probeAudio}, transcoding with "libfdk_aac"..`,
+            `Incompatible audio stream detected ${probeAudio}, transcoding..`,
             this.accessory.displayName,
             'Homebridge'
           );
-          acodec = 'libfdk_aac';
+          acodec = undefined;
           //vcodec = vcodec === 'copy' ? 'libx264' : vcodec;
-        } else if (!incompatibleAudio && !acodec) {
+        } else if (!acodec && this.matchesRecordingAudio(probeAudio, samplerate)) {
           this.log.debug('Compatible audio stream detected, copying..');
           acodec = 'copy';
         }
@@ -106,51 +218,35 @@ export default class RecordingDelegate {
           'Homebridge'
         );
 
-        ffmpegInput.push('-f', 'lavfi', '-i', 'anullsrc=cl=1', '-shortest');
+        ffmpegInput.push(
+          '-f',
+          'lavfi',
+          '-i',
+          `anullsrc=cl=${audioCodec.audioChannels > 1 ? 'stereo' : 'mono'}`,
+          '-shortest'
+        );
 
-        acodec = 'libfdk_aac';
+        acodec = undefined;
       }
 
       if (acodec !== 'copy') {
-        let samplerate;
-
-        switch (this.configuration.audioCodec.samplerate) {
-          case this.api.hap.AudioRecordingSamplerate.KHZ_8:
-            samplerate = '8';
-            break;
-          case this.api.hap.AudioRecordingSamplerate.KHZ_16:
-            samplerate = '16';
-            break;
-          case this.api.hap.AudioRecordingSamplerate.KHZ_24:
-            samplerate = '24';
-            break;
-          case this.api.hap.AudioRecordingSamplerate.KHZ_32:
-            samplerate = '32';
-            break;
-          case this.api.hap.AudioRecordingSamplerate.KHZ_44_1:
-            samplerate = '44.1';
-            break;
-          case this.api.hap.AudioRecordingSamplerate.KHZ_48:
-            samplerate = '48';
-            break;
-          default:
-            throw new Error(`Unsupported audio samplerate: ${this.configuration.audioCodec.samplerate}`);
-        }
+        // AAC-ELD is only available with libfdk_aac, AAC-LC falls back to the native encoder
+        const encoders = FfmpegProcess.getEncoders(this.config.options.videoProcessor);
+        const encoder = eld || encoders.length === 0 || encoders.includes('libfdk_aac') ? 'libfdk_aac' : 'aac';
 
         audioArguments.push(
           '-bsf:a',
           'aac_adtstoasc',
           '-acodec',
-          'libfdk_aac',
-          ...(this.configuration.audioCodec.type === this.api.hap.AudioRecordingCodecType.AAC_LC
-            ? ['-profile:a', 'aac_low']
-            : ['-profile:a', 'aac_eld']),
+          encoder,
+          '-profile:a',
+          eld ? 'aac_eld' : 'aac_low',
           '-ar',
           `${samplerate}k`,
           '-b:a',
-          `${this.configuration.audioCodec.bitrate}k`,
+          `${audioCodec.bitrate}k`,
           '-ac',
-          `${this.configuration.audioCodec.audioChannels}`
+          `${audioCodec.audioChannels}`
         );
       } else {
         vcodec = 'copy';
@@ -161,29 +257,46 @@ export default class RecordingDelegate {
     }
 
     const profile =
-      this.configuration.videoCodec.profile === this.api.hap.H264Profile.HIGH
+      videoCodec.profile === this.api.hap.H264Profile.HIGH
         ? 'high'
-        : this.configuration.videoCodec.profile === this.api.hap.H264Profile.MAIN
+        : videoCodec.profile === this.api.hap.H264Profile.MAIN
         ? 'main'
         : 'baseline';
 
     const level =
-      this.configuration.videoCodec.level === this.api.hap.H264Level.LEVEL4_0
+      videoCodec.level === this.api.hap.H264Level.LEVEL4_0
         ? '4.0'
-        : this.configuration.videoCodec.level === this.api.hap.H264Level.LEVEL3_2
+        : videoCodec.level === this.api.hap.H264Level.LEVEL3_2
         ? '3.2'
         : '3.1';
 
-    const width = this.accessory.context.config.hksvConfig?.maxWidth || this.configuration.videoCodec.resolution[0];
-    const height = this.accessory.context.config.hksvConfig?.maxHeight || this.configuration.videoCodec.resolution[1];
-    const fps = this.accessory.context.config.hksvConfig?.maxFPS || 25; //this.configuration.videoCodec.resolution[2];
-    const videoBitrate =
-      this.accessory.context.config.hksvConfig?.maxBitrate || this.configuration.videoCodec.parameters.bitRate;
-    const iFrameInterval = this.configuration.videoCodec.parameters.iFrameInterval;
+    // the hksvConfig limits only cap what HomeKit selected
+    const [width, height] = clampResolution(
+      videoCodec.resolution[0],
+      videoCodec.resolution[1],
+      hksvConfig.maxWidth,
+      hksvConfig.maxHeight
+    );
+
+    const fps = clamp(videoCodec.resolution[2], hksvConfig.maxFPS);
+    const videoBitrate = clamp(videoCodec.parameters.bitRate, hksvConfig.maxBitrate);
+    const iFrameInterval = videoCodec.parameters.iFrameInterval;
 
     if (vcodec === 'copy') {
+      this.log.debug(
+        'Copying the video stream, the recording parameters selected by HomeKit are not applied',
+        this.accessory.displayName
+      );
+
       videoArguments.push('-vcodec', 'copy');
     } else {
+      this.log.debug(
+        `Recording with ${width}x${height}@${fps}fps, ${videoBitrate}kbit/s, ${profile} ${level}, audio: ${
+          audioEnabled ? `${eld ? 'AAC-ELD' : 'AAC-LC'} ${samplerate}kHz` : 'disabled'
+        }`,
+        this.accessory.displayName
+      );
+
       videoArguments.push(
         //'-an',
         '-sn',
@@ -198,15 +311,12 @@ export default class RecordingDelegate {
         level,
         '-b:v',
         `${videoBitrate}k`,
-        //'-bufsize',
-        //`${2 * videoBitrate}k`,
-        //'-maxrate',
-        //`${videoBitrate}k`,
-        //'-r',
-        //`${fps}`,
+        '-bufsize',
+        `${2 * videoBitrate}k`,
+        '-maxrate',
+        `${videoBitrate}k`,
         '-vf',
-        //`scale=w=${width}:h=${height}:force_original_aspect_ratio=1,pad=${width}:${height}:(ow-iw)/2:(oh-ih)/2`,
-        `framerate=fps=${fps}*1000/1001,scale=w=${width}:h=${height}:force_original_aspect_ratio=1,pad=${width}:${height}:(ow-iw)/2:(oh-ih)/2`,
+        `fps=${fps},scale=w=${width}:h=${height}:force_original_aspect_ratio=1,pad=${width}:${height}:(ow-iw)/2:(oh-ih)/2`,
         //'-fflags',
         //'+genpts+discardcorrupt',
         //'-reset_timestamps',
@@ -217,22 +327,61 @@ export default class RecordingDelegate {
         //'2'
       );
 
-      if (this.accessory.context.config.hksvConfig?.encoderOptions) {
-        videoArguments.push(...this.accessory.context.config.hksvConfig.encoderOptions.split(' '));
+      if (hksvConfig.encoderOptions) {
+        videoArguments.push(...hksvConfig.encoderOptions.split(' '));
       }
     }
 
-    this.session = await cameraUtils.startFFMPegFragmetedMP4Session(
-      this.accessory.displayName,
-      this.accessory.context.config.videoConfig,
-      this.config.options.videoProcessor,
-      ffmpegInput,
-      audioArguments,
-      videoArguments
-    );
+    const release = ProcessScheduler.claim('recording', this.accessory.displayName);
+
+    if (!release) {
+      this.log.warn('No FFmpeg process available, skip recording (HSV)..', this.accessory.displayName, 'Homebridge');
+      this.handlingStreamingRequest = false;
+      return;
+    }
+
+    try {
+      this.session = await cameraUtils.startFFMPegFragmetedMP4Session(
+        this.accessory.displayName,
+        this.accessory.context.config.videoConfig,
+        this.config.options.videoProcessor,
+        ffmpegInput,
+        audioArguments,
+        videoArguments
+      );
+    } catch (error) {
+      release();
+      this.handlingStreamingRequest = false;
+      throw error;
+    }
+
+    this.session.cp.once('exit', release);
 
     this.log.debug('Recording started', this.accessory.displayName);
 
+    let output = [];
+
+    this.session.cp.stderr.on('data', (data) => {
+      output = output.slice(-9);
+      output.push(data.toString());
+    });
+
+    this.session.cp.once('exit', (code) => {
+      if (code && code !== 255) {
+        const failure = DiagnosticsService.report(
+          `${this.api.user.storagePath()}/camera.ui`,
+          this.accessory.displayName,
+          'recording',
+          output,
+          code
+        );
+
+        if (failure) {
+          this.log.error(`${failure.hint} (${failure.code})`, this.accessory.displayName, 'Homebridge');
+        }
+      }
+    });
+
     const cameraSettings = await this.cameraUi?.database?.interface.chain
       .get('settings')
       .get('cameras')
@@ -240,9 +389,12 @@ export default class RecordingDelegate {
       .value();
 
     const timer = cameraSettings?.videoanalysis?.forceCloseTimer || MAX_RECORDING_TIME;
+    let forceClosed = false;
 
     if (timer > 0) {
       this.forceCloseTimer = setTimeout(() => {
+        forceClosed = true;
+
         this.log.warn(
           `The recording process has been running for ${timer} minutes and is now being forced closed!`,
           this.accessory.displayName
@@ -256,10 +408,32 @@ export default class RecordingDelegate {
     }
 
     let pending = [];
-    let filebuffer = Buffer.alloc(0);
+    let motionStopped;
+
+    const postRoll = this.accessory.context.config.hksvConfig?.postRoll || 0;
+    const spool = await this.createSpoolFile();
+
+    const startTime = Date.now();
+    const trigger = this.handler.motionTriggers.get(this.accessory.UUID) || 'motion';
+
+    // the fragmented mp4 output has no progress information, every received box counts as activity
+    const session = this.session;
+    const watchdog = new FfmpegWatchdog({
+      timeout: this.accessory.context.config.videoConfig.watchdogTimeout,
+      onStall: (reason) => {
+        this.log.warn(
+          `Recording process stalled: ${reason}. Killing process.`,
+          this.accessory.displayName,
+          'Homebridge'
+        );
+        session.cp?.kill('SIGKILL');
+      },
+    });
 
     try {
       for await (const box of this.session.generator) {
+        watchdog.touch();
+
         const { header, type, data } = box;
 
         pending.push(header, data);
@@ -270,16 +444,32 @@ export default class RecordingDelegate {
 
         if (type === 'moov' || type === 'mdat') {
           const fragment = Buffer.concat(pending);
-
-          filebuffer = Buffer.concat([filebuffer, Buffer.concat(pending)]);
           pending = [];
 
+          // the post-roll keeps recording after motion stopped, the force close timer ends it regardless
+          if (motionDetected) {
+            if (motionStopped) {
+              this.log.debug('Motion resumed, continuing recording', this.accessory.displayName);
+              motionStopped = undefined;
+            }
+          } else if (!motionStopped) {
+            motionStopped = Date.now();
+
+            if (postRoll > 0 && !forceClosed) {
+              this.log.debug(`Motion stopped, recording for another ${postRoll} seconds`, this.accessory.displayName);
+            }
+          }
+
+          const isLast = Boolean(motionStopped) && (forceClosed || Date.now() - motionStopped >= postRoll * 1000);
+
+          await this.writeSpoolFile(spool, fragment);
+
           yield {
             data: fragment,
-            isLast: !motionDetected,
+            isLast: isLast,
           };
 
-          if (!motionDetected) {
+          if (isLast) {
             this.log.debug('Ending recording session due to motion stopped!', this.accessory.displayName);
             break;
           }
@@ -293,34 +483,301 @@ export default class RecordingDelegate {
         this.log.debug(error.message || error, this.accessory.displayName);
       }
     } finally {
-      if (this.closeReason && this.closeReason !== this.api.hap.HDSProtocolSpecificErrorReason.NORMAL) {
+      watchdog.stop();
+
+      // set by closeRecordingStream before the recording process is killed, a new recording resets it
+      const closeReason = this.closeReason || this.api.hap.HDSProtocolSpecificErrorReason.NORMAL;
+      const aborted = closeReason !== this.api.hap.HDSProtocolSpecificErrorReason.NORMAL;
+      const completed = spool.size > 0 && !spool.stream.destroyed && (await this.closeSpoolFile(spool));
+
+      if (aborted) {
         this.log.warn(
-          `The recording process was aborted by HSV with reason "${
-            this.api.hap.HDSProtocolSpecificErrorReason[this.closeReason]
-          }"`,
+          `The recording process was aborted by HSV with reason "${this.api.hap.HDSProtocolSpecificErrorReason[closeReason]}"`,
           this.accessory.displayName,
           'Homebridge'
         );
-      } else if (filebuffer.length > 0) {
+      } else if (completed) {
         this.log.debug('Recording completed (HSV)', this.accessory.displayName);
-        this.cameraUi.eventController.triggerEvent('HSV', this.accessory.displayName, true, filebuffer, 'Video');
+
+        DiagnosticsService.clear(`${this.api.user.storagePath()}/camera.ui`, this.accessory.displayName, 'recording');
+        await this.storeRecording(spool);
+      }
+
+      // aborted recordings are archived as well, they might be the only copy if iCloud is not available
+      if (completed && this.archive) {
+        await this.archive.store(spool.file, {
+          trigger: trigger,
+          startTime: startTime,
+          duration:
+            Math.round((Date.now() - startTime) / 1000) +
+            (prebufferInput ? this.accessory.context.config.prebufferLength : 0),
+          resolution: vcodec === 'copy' ? 'source' : `${width}x${height}`,
+          size: spool.size,
+          closeReason: this.api.hap.HDSProtocolSpecificErrorReason[closeReason],
+        });
       }
+
+      spool.stream.destroy();
+      await fs.remove(spool.file).catch(() => {});
     }
   }
 
-  // eslint-disable-next-line no-unused-vars
-  updateRecordingActive(active) {
-    //this.log.debug(`Recording: ${active}`, this.accessory.displayName);
+  async closeSpoolFile(spool) {
+    try {
+      spool.stream.end();
+      await once(spool.stream, 'finish');
+
+      return true;
+    } catch {
+      return false;
+    }
+  }
+
+  // camera.ui (triggerEvent/createRecording) only accepts a recording as one buffer,
+  // the clip is copied into the camera.ui recordings and registered the same way instead
+  async storeRecording(spool) {
+    const cameraName = this.accessory.displayName;
+
+    try {
+      const settings = await this.cameraUi.database.interface.chain.get('settings').cloneDeep().value();
+
+      if (!settings.recordings.active) {
+        this.log.debug('Recording not enabled in camera.ui, skip storing HSV recording..', cameraName);
+        return;
+      }
+
+      // loaded once camera.ui is started, the modules read the camera.ui paths on import
+      const [{ default: Socket }, { default: Cleartimer }, { storeSnapshotFromVideo }, NotificationsModel] =
+        await Promise.all([
+          import('camera.ui/src/api/socket.js'),
+          import('camera.ui/src/common/cleartimer.js'),
+          import('camera.ui/src/common/ffmpeg.js'),
+          import('camera.ui/src/api/components/notifications/notifications.model.js'),
+        ]);
+
+      if (Socket.diskSpace.available !== null && Socket.diskSpace.available < 1) {
+        this.log.warn(
+          'The available disk space is less than 1 GB! Skip storing HSV recording..',
+          cameraName,
+          'Homebridge'
+        );
+        return;
+      }
+
+      const id = randomBytes(5).toString('hex');
+      const timestamp = Math.round(Date.now() / 1000);
+      const fileName = `${cameraName.replace(/\s+/g, '_')}-${id}-${timestamp}_c_CUI`;
+      const recordingPath = settings.recordings.path;
+
+      await fs.copy(spool.file, path.resolve(recordingPath, `${fileName}.mp4`));
+      await storeSnapshotFromVideo({ name: cameraName }, recordingPath, fileName, 'HSV');
+
+      const motionInfo = {
+        id: id,
+        camera: cameraName,
+        label: 'HSV',
+        path: recordingPath,
+        storing: true,
+        type: 'Video',
+        timer: settings.recordings.timer,
+        timestamp: timestamp,
+        trigger: 'HSV',
+      };
+
+      const { notification, notify } = await NotificationsModel.createNotification(motionInfo);
+
+      const recording = {
+        ...notification,
+        recordStoring: true,
+      };
+
+      this.cameraUi.database.recordings.chain.get('recordings').push(recording).value();
+
+      Socket.io?.emit('recording', recording);
+      Cleartimer.setRecording(id, timestamp);
+
+      if (settings.notifications.active) {
+        Socket.io?.emit('notification', notify);
+      }
+
+      this.log.debug(`HSV recording stored: ${fileName}.mp4`, cameraName);
+    } catch (error) {
+      this.log.warn(`Can not store recording: ${error.message}`, cameraName, 'Homebridge');
+    }
+  }
+
+  getRecordingSamplerate(samplerate) {
+    switch (samplerate) {
+      case this.api.hap.AudioRecordingSamplerate.KHZ_8:
+        return 8;
+      case this.api.hap.AudioRecordingSamplerate.KHZ_16:
+        return 16;
+      case this.api.hap.AudioRecordingSamplerate.KHZ_24:
+        return 24;
+      case this.api.hap.AudioRecordingSamplerate.KHZ_32:
+        return 32;
+      case this.api.hap.AudioRecordingSamplerate.KHZ_44_1:
+        return 44.1;
+      case this.api.hap.AudioRecordingSamplerate.KHZ_48:
+        return 48;
+      default:
+        throw new Error(`Unsupported audio samplerate: ${samplerate}`);
+    }
+  }
+
+  // the source audio can only be copied if it is exactly what HomeKit selected
+  matchesRecordingAudio(probeAudio = [], samplerate) {
+    const { type, audioChannels } = this.configuration.audioCodec;
+    const channels = audioChannels > 1 ? 'stereo' : 'mono';
+
+    return (
+      type === this.api.hap.AudioRecordingCodecType.AAC_LC &&
+      probeAudio.some((value) => /aac \(lc\)/i.test(value)) &&
+      probeAudio.some((value) => value.trim() === `${Math.round(samplerate * 1000)} Hz`) &&
+      probeAudio.some((value) => value.trim() === channels)
+    );
+  }
+
+  async updateRecordingActive(active) {
+    if (this.recordingActive === active) {
+      return;
+    }
+
+    this.recordingActive = active;
+    this.log.info(`Recording ${active ? 'activated' : 'deactivated'} in HomeKit`, this.accessory.displayName);
+
+    try {
+      await this.cameraUi?.database?.interface.chain
+        .get('settings')
+        .get('cameras')
+        .find({ name: this.accessory.displayName })
+        .assign({
+          recordingActive: active,
+        })
+        .value();
+    } catch (error) {
+      this.log.debug(`Can not store recording state: ${error.message}`, this.accessory.displayName);
+    }
+
+    await this.handler.recordingHandler(this.accessory, active);
+    await (active ? this.resumeRecordingSources() : this.pauseRecordingSources());
+
+    this.ensurePrebufferFallback();
+  }
+
+  // the plugin prebuffer runs only while recording is active and camera.ui is not prebuffering
+  // cached accessories are restored before camera.ui has started (and connected its prebuffer),
+  // the check is repeated by the platform once camera.ui is started (handler initialized)
+  ensurePrebufferFallback() {
+    if (!this.prebuffer) {
+      return;
+    }
+
+    const controller = this.cameraUi.cameraController?.get(this.accessory.displayName);
+
+    const cameraUiPrebuffering = Boolean(
+      this.accessory.context.config.prebuffering && controller?.prebuffer?.prebufferSession
+    );
+
+    if (
+      this.handler.initialized &&
+      this.recordingActive &&
+      !cameraUiPrebuffering &&
+      !this.accessory.context.config.hksvConfig?.source
+    ) {
+      this.prebuffer.start();
+
+      if (!this.prebufferCheckTimer) {
+        this.prebufferCheckTimer = setInterval(() => this.ensurePrebufferFallback(), PREBUFFER_CHECK_INTERVAL);
+      }
+    } else {
+      this.stopPrebufferFallback();
+    }
+  }
+
+  stopPrebufferFallback() {
+    if (this.prebufferCheckTimer) {
+      clearInterval(this.prebufferCheckTimer);
+      this.prebufferCheckTimer = null;
+    }
+
+    this.prebuffer?.stop();
+  }
+
+  // stops the processes that mainly feed HKSV while recording is turned off in the Home app
+  async pauseRecordingSources() {
+    const controller = this.cameraUi.cameraController?.get(this.accessory.displayName);
+
+    if (!controller) {
+      return;
+    }
+
+    const settings = await this.cameraUi?.database?.interface.chain.get('settings').cloneDeep().value();
+    const videoConfig = controller.options.videoConfig;
+
+    const videoanalysisActive = Boolean(controller.options.videoanalysis?.active);
+    const pauseVideoanalysis =
+      videoanalysisActive && Boolean(this.accessory.context.config.hksvConfig?.pauseVideoAnalysis);
+
+    // camera.ui recordings and a running video analysis on the main stream still need the prebuffer
+    const videoanalysisUsesPrebuffer =
+      videoanalysisActive && (!videoConfig.subSource || videoConfig.subSource === videoConfig.source);
+
+    const pausePrebuffer =
+      controller.options.prebuffering &&
+      !settings?.recordings?.active &&
+      (!videoanalysisUsesPrebuffer || pauseVideoanalysis);
+
+    if (pauseVideoanalysis && controller.videoanalysis.videoanalysisSession) {
+      this.log.debug('Pausing video analysis while recording is deactivated', this.accessory.displayName);
+
+      controller.videoanalysis.stop(true);
+      this.paused.videoanalysis = true;
+    }
+
+    if (pausePrebuffer && controller.prebuffer.prebufferSession) {
+      this.log.debug('Pausing prebuffering while recording is deactivated', this.accessory.displayName);
+
+      controller.prebuffer.stop(true);
+      this.paused.prebuffer = true;
+    }
+  }
+
+  async resumeRecordingSources() {
+    const controller = this.cameraUi.cameraController?.get(this.accessory.displayName);
+
+    if (!controller) {
+      return;
+    }
+
+    if (this.paused.prebuffer) {
+      this.log.debug('Resuming prebuffering', this.accessory.displayName);
+
+      this.paused.prebuffer = false;
+      await controller.prebuffer.start();
+    }
+
+    if (this.paused.videoanalysis) {
+      this.log.debug('Resuming video analysis', this.accessory.displayName);
+
+      this.paused.videoanalysis = false;
+      await controller.videoanalysis.start();
+    }
   }
 
   updateRecordingConfiguration(configuration) {
-    //this.log.debug(`Updating recording configuration: ${JSON.stringify(configuration)}`, this.accessory.displayName);
+    this.log.debug(`Updating recording configuration: ${JSON.stringify(configuration)}`, this.accessory.displayName);
     this.configuration = configuration;
+
+    this.ensurePrebufferFallback();
   }
 
   async closeRecordingStream(streamId, reason) {
     this.log.info('Closing recording process', this.accessory.displayName);
 
+    // the recording generator finishes as soon as the process is killed and reads the reason
+    this.closeReason = reason;
+
     if (this.session) {
       this.session.socket?.destroy();
       this.session.cp?.kill('SIGKILL');
@@ -345,7 +802,6 @@ export default class RecordingDelegate {
       await this.handler.handle('motion', this.accessory.displayName, false);
     }
 
-    this.closeReason = reason;
     this.handlingStreamingRequest = false;
   }
 
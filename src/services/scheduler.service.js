@@ -0,0 +1,179 @@
+'use-strict';
+
+import Logger from '../../services/logger/logger.service.js';
+
+const QUEUE_TIMEOUT = 10000;
+
+// lower value = higher priority, only processes with a lower priority can be preempted
+const priorities = {
+  recording: 0,
+  stream: 1,
+  snapshot: 2,
+};
+
+/**
+ *
+ * Keeps track of all FFmpeg processes spawned by the plugin (across all cameras)
+ *
+ * Recordings and live streams are started immediately or refused, if necessary by preempting running snapshots.
+ * Snapshots (and resizes) wait in a queue until a slot is free.
+ *
+ **/
+
+export default class ProcessScheduler {
+  // 0 = unlimited
+  static #limits = {
+    total: 0,
+    recording: 0,
+    stream: 0,
+    snapshot: 0,
+  };
+
+  static #slots = new Set();
+  static #queue = [];
+
+  static configure(options = {}) {
+    ProcessScheduler.#limits = {
+      total: options.maxProcesses || 0,
+      recording: 0,
+      stream: options.maxStreamProcesses || 0,
+      snapshot: options.maxSnapshotProcesses || 0,
+    };
+  }
+
+  static #count(type) {
+    let count = 0;
+
+    for (const slot of ProcessScheduler.#slots) {
+      if (!type || slot.type === type) {
+        count++;
+      }
+    }
+
+    return count;
+  }
+
+  static #fitsType(type) {
+    const limit = ProcessScheduler.#limits[type];
+    return !limit || ProcessScheduler.#count(type) < limit;
+  }
+
+  static #fitsTotal() {
+    const limit = ProcessScheduler.#limits.total;
+    return !limit || ProcessScheduler.#count() < limit;
+  }
+
+  static isAvailable(type) {
+    return ProcessScheduler.#fitsType(type) && ProcessScheduler.#fitsTotal();
+  }
+
+  // returns a release function, or undefined if the process must not be started
+  static claim(type, cameraName) {
+    if (!ProcessScheduler.#fitsType(type)) {
+      Logger.log.warn(
+        `Can not start ${type} process, the limit of ${
+          ProcessScheduler.#limits[type]
+        } concurrent ${type} processes is reached.`,
+        cameraName,
+        'Homebridge'
+      );
+
+      return;
+    }
+
+    if (!ProcessScheduler.#fitsTotal()) {
+      ProcessScheduler.#preempt(priorities[type], cameraName);
+    }
+
+    if (!ProcessScheduler.#fitsTotal()) {
+      Logger.log.warn(
+        `Can not start ${type} process, the limit of ${
+          ProcessScheduler.#limits.total
+        } concurrent FFmpeg processes is reached.`,
+        cameraName,
+        'Homebridge'
+      );
+
+      return;
+    }
+
+    return ProcessScheduler.#grant(type, cameraName);
+  }
+
+  // resolves with a release function once a slot is free, rejects if none is free in time
+  // onPreempt is called if the slot is taken over by a process with a higher priority
+  static acquire(type, cameraName, onPreempt) {
+    if (ProcessScheduler.#queue.length === 0 && ProcessScheduler.isAvailable(type)) {
+      return Promise.resolve(ProcessScheduler.#grant(type, cameraName, onPreempt));
+    }
+
+    Logger.log.debug(`Process budget exhausted, ${type} process queued`, cameraName);
+
+    return new Promise((resolve, reject) => {
+      const entry = {
+        type: type,
+        cameraName: cameraName,
+        onPreempt: onPreempt,
+        resolve: resolve,
+        timeout: setTimeout(() => {
+          ProcessScheduler.#queue = ProcessScheduler.#queue.filter((queued) => queued !== entry);
+          reject(new Error(`No free slot for ${type} process within ${QUEUE_TIMEOUT / 1000} seconds`));
+        }, QUEUE_TIMEOUT),
+      };
+
+      ProcessScheduler.#queue.push(entry);
+      ProcessScheduler.#queue.sort((a, b) => priorities[a.type] - priorities[b.type]);
+    });
+  }
+
+  static #grant(type, cameraName, onPreempt) {
+    const slot = {
+      type: type,
+      cameraName: cameraName,
+      onPreempt: onPreempt,
+    };
+
+    ProcessScheduler.#slots.add(slot);
+
+    return () => ProcessScheduler.#release(slot);
+  }
+
+  static #release(slot) {
+    if (ProcessScheduler.#slots.delete(slot)) {
+      ProcessScheduler.#dispatch();
+    }
+  }
+
+  static #preempt(priority, cameraName) {
+    const candidates = [...ProcessScheduler.#slots]
+      .filter((slot) => slot.onPreempt && priorities[slot.type] > priority)
+      .sort((a, b) => priorities[b.type] - priorities[a.type]);
+
+    for (const slot of candidates) {
+      if (ProcessScheduler.#fitsTotal()) {
+        break;
+      }
+
+      Logger.log.debug(`Stopping ${slot.type} process of ${slot.cameraName} in favor of a higher priority`, cameraName);
+
+      ProcessScheduler.#slots.delete(slot);
+      slot.onPreempt();
+    }
+  }
+
+  static #dispatch() {
+    for (const entry of ProcessScheduler.#queue) {
+      // a queued process with a higher priority keeps its place if only the total budget is exhausted
+      if (!ProcessScheduler.#fitsTotal()) {
+        break;
+      }
+
+      if (ProcessScheduler.#fitsType(entry.type)) {
+        ProcessScheduler.#queue = ProcessScheduler.#queue.filter((queued) => queued !== entry);
+
+        clearTimeout(entry.timeout);
+        entry.resolve(ProcessScheduler.#grant(entry.type, entry.cameraName, entry.onPreempt));
+      }
+    }
+  }
+}
@@ -0,0 +1,74 @@
+'use-strict';
+
+/**
+ *
+ * Database reads and writes for the at home, exclude and privacy states
+ * Shared by the HomeKit switches and the MQTT commands
+ *
+ **/
+
+export default class SettingsService {
+  constructor(cameraUi) {
+    this.cameraUi = cameraUi;
+  }
+
+  // type: athome, exclude or privacy
+  async getState(type, cameraName) {
+    const settings = await this.cameraUi?.database?.interface.chain.get('settings').cloneDeep().value();
+
+    switch (type) {
+      case 'athome':
+        return settings?.general?.atHome || false;
+      case 'exclude':
+        return (settings?.general?.exclude || []).includes(cameraName);
+      case 'privacy':
+        return settings?.cameras?.find((camera) => camera.name === cameraName)?.privacyMode || false;
+      // No default
+    }
+  }
+
+  async setAtHome(state) {
+    await this.cameraUi?.database?.interface.chain
+      .get('settings')
+      .get('general')
+      .assign({
+        atHome: state ? true : false,
+      })
+      .value();
+  }
+
+  async setExclude(cameraName, state) {
+    const generalSettings = await this.cameraUi?.database?.interface.chain
+      .get('settings')
+      .get('general')
+      .cloneDeep()
+      .value();
+
+    let exclude = generalSettings?.exclude || [];
+
+    if (state && !exclude.includes(cameraName)) {
+      exclude.push(cameraName);
+    } else if (!state && exclude.includes(cameraName)) {
+      exclude = exclude.filter((name) => name && name !== cameraName);
+    }
+
+    await this.cameraUi?.database?.interface.chain
+      .get('settings')
+      .get('general')
+      .assign({
+        exclude: exclude,
+      })
+      .value();
+  }
+
+  async setPrivacy(cameraName, state) {
+    await this.cameraUi?.database?.interface.chain
+      .get('settings')
+      .get('cameras')
+      .find({ name: cameraName })
+      .assign({
+        privacyMode: state ? true : false,
+      })
+      .value();
+  }
+}
@@ -0,0 +1,110 @@
+'use-strict';
+
+import fs from 'fs-extra';
+import path from 'path';
+
+import Logger from '../../services/logger/logger.service.js';
+
+// the cache is served from memory, the disk copy only survives restarts
+const PERSIST_INTERVAL = 5 * 60 * 1000;
+
+export default class SnapshotService {
+  constructor(cameraName, storagePath) {
+    this.log = Logger.log;
+    this.cameraName = cameraName;
+
+    const fileName = cameraName.replace(/\s+/g, '_');
+
+    this.snapshotPath = path.resolve(storagePath, 'snapshots', `${fileName}.jpeg`);
+    this.metadataPath = path.resolve(storagePath, 'snapshots', `${fileName}.json`);
+
+    this.snapshot = null;
+    this.metadata = null;
+
+    this.persistedAt = 0;
+    this.persistTimer = null;
+
+    this.restore();
+  }
+
+  restore() {
+    try {
+      if (fs.pathExistsSync(this.snapshotPath) && fs.pathExistsSync(this.metadataPath)) {
+        this.snapshot = fs.readFileSync(this.snapshotPath);
+        this.metadata = fs.readJsonSync(this.metadataPath);
+
+        this.log.debug(`Restored cached snapshot (${this.getAge()}s old)`, this.cameraName);
+      }
+    } catch (error) {
+      this.log.debug(`Can not restore cached snapshot: ${error.message}`, this.cameraName);
+
+      this.snapshot = null;
+      this.metadata = null;
+    }
+  }
+
+  getAge() {
+    return this.metadata ? Math.round((Date.now() - this.metadata.timestamp) / 1000) : Number.POSITIVE_INFINITY;
+  }
+
+  get() {
+    if (!this.snapshot) {
+      return;
+    }
+
+    return {
+      snapshot: this.snapshot,
+      metadata: {
+        ...this.metadata,
+        age: this.getAge(),
+      },
+    };
+  }
+
+  // metadata: source (stillImageSource, subSource or prebuffer), subSource, duration (ms)
+  set(snapshot, metadata = {}) {
+    this.snapshot = snapshot;
+    this.metadata = {
+      ...metadata,
+      timestamp: Date.now(),
+      size: snapshot.length,
+    };
+
+    if (!this.persistTimer) {
+      const delay = Math.max(this.persistedAt + PERSIST_INTERVAL - Date.now(), 0);
+
+      this.persistTimer = setTimeout(() => this.persist(), delay);
+      this.persistTimer.unref?.();
+    }
+  }
+
+  async persist() {
+    clearTimeout(this.persistTimer);
+    this.persistTimer = null;
+    this.persistedAt = Date.now();
+
+    try {
+      await fs.outputFile(this.snapshotPath, this.snapshot);
+      await fs.outputJson(this.metadataPath, this.metadata, { spaces: 2 });
+    } catch (error) {
+      this.log.warn(`Can not store snapshot to disk: ${error.message}`, this.cameraName, 'Homebridge');
+    }
+  }
+
+  // homebridge does not wait for async shutdown handlers
+  close() {
+    if (!this.persistTimer) {
+      return;
+    }
+
+    clearTimeout(this.persistTimer);
+    this.persistTimer = null;
+
+    try {
+      fs.outputFileSync(this.snapshotPath, this.snapshot);
+      fs.outputJsonSync(this.metadataPath, this.metadata, { spaces: 2 });
+    } catch (error) {
+      this.log.warn(`Can not store snapshot to disk: ${error.message}`, this.cameraName, 'Homebridge');
+    }
+  }
+}
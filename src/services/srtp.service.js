@@ -0,0 +1,148 @@
+'use-strict';
+
+import crypto from 'crypto';
+
+/**
+ *
+ * AES_CM_128_HMAC_SHA1_80 sender context (RFC 3711)
+ * Used to encrypt relayed RTP/RTCP packets with the keys HomeKit negotiated for a single viewer
+ *
+ **/
+
+export default class SrtpSession {
+  #rtpKey;
+  #rtpAuthKey;
+  #rtpSalt;
+  #rtcpKey;
+  #rtcpAuthKey;
+  #rtcpSalt;
+
+  #rolloverCounter = 0;
+  #lastSequence;
+  #rtcpIndex = 0;
+
+  // index: continues the session of another sender, { rtp: index of its last rtp packet, rtcp: next rtcp index }
+  constructor(keyAndSalt, index) {
+    const masterKey = keyAndSalt.subarray(0, 16);
+    const masterSalt = keyAndSalt.subarray(16, 30);
+
+    this.#rtpKey = SrtpSession.#deriveKey(masterKey, masterSalt, 0, 16);
+    this.#rtpAuthKey = SrtpSession.#deriveKey(masterKey, masterSalt, 1, 20);
+    this.#rtpSalt = SrtpSession.#deriveKey(masterKey, masterSalt, 2, 14);
+    this.#rtcpKey = SrtpSession.#deriveKey(masterKey, masterSalt, 3, 16);
+    this.#rtcpAuthKey = SrtpSession.#deriveKey(masterKey, masterSalt, 4, 20);
+    this.#rtcpSalt = SrtpSession.#deriveKey(masterKey, masterSalt, 5, 14);
+
+    if (index) {
+      this.#rolloverCounter = Math.floor(index.rtp / 65_536) >>> 0;
+      this.#lastSequence = index.rtp % 65_536;
+      this.#rtcpIndex = index.rtcp % 2 ** 31;
+    }
+  }
+
+  static #deriveKey(masterKey, masterSalt, label, length) {
+    const iv = Buffer.alloc(16);
+    masterSalt.copy(iv);
+    iv[7] ^= label;
+
+    return crypto.createCipheriv('aes-128-ctr', masterKey, iv).update(Buffer.alloc(length));
+  }
+
+  static #createIv(salt, ssrc, indexHigh, indexLow) {
+    const iv = Buffer.alloc(16);
+    salt.copy(iv);
+
+    iv.writeUInt32BE((iv.readUInt32BE(4) ^ ssrc) >>> 0, 4);
+    iv.writeUInt16BE(iv.readUInt16BE(8) ^ indexHigh, 8);
+    iv.writeUInt32BE((iv.readUInt32BE(10) ^ indexLow) >>> 0, 10);
+
+    return iv;
+  }
+
+  protectRtp(packet) {
+    const sequence = packet.readUInt16BE(2);
+
+    if (this.#lastSequence !== undefined && sequence < this.#lastSequence && this.#lastSequence - sequence > 0x80_00) {
+      this.#rolloverCounter = (this.#rolloverCounter + 1) >>> 0;
+    }
+
+    this.#lastSequence = sequence;
+
+    const ssrc = packet.readUInt32BE(8);
+    const csrcCount = packet[0] & 15;
+    const hasExtension = packet[0] & 0x10;
+
+    let headerLength = 12 + csrcCount * 4;
+
+    if (hasExtension) {
+      headerLength += 4 + packet.readUInt16BE(headerLength + 2) * 4;
+    }
+
+    // packet index = ROC || SEQ
+    const iv = SrtpSession.#createIv(
+      this.#rtpSalt,
+      ssrc,
+      this.#rolloverCounter >>> 16,
+      (((this.#rolloverCounter & 65_535) << 16) | sequence) >>> 0
+    );
+
+    const payload = crypto.createCipheriv('aes-128-ctr', this.#rtpKey, iv).update(packet.subarray(headerLength));
+    const encrypted = Buffer.concat([packet.subarray(0, headerLength), payload]);
+
+    const rolloverCounter = Buffer.alloc(4);
+    rolloverCounter.writeUInt32BE(this.#rolloverCounter);
+
+    const tag = crypto
+      .createHmac('sha1', this.#rtpAuthKey)
+      .update(encrypted)
+      .update(rolloverCounter)
+      .digest()
+      .subarray(0, 10);
+
+    return Buffer.concat([encrypted, tag]);
+  }
+
+  protectRtcp(packet) {
+    const ssrc = packet.readUInt32BE(4);
+    const index = this.#rtcpIndex;
+
+    this.#rtcpIndex = (this.#rtcpIndex + 1) % 2 ** 31;
+
+    const iv = SrtpSession.#createIv(this.#rtcpSalt, ssrc, 0, index);
+    const payload = crypto.createCipheriv('aes-128-ctr', this.#rtcpKey, iv).update(packet.subarray(8));
+
+    const trailer = Buffer.alloc(4);
+    trailer.writeUInt32BE((0x80_00_00_00 | index) >>> 0);
+
+    const authenticated = Buffer.concat([packet.subarray(0, 8), payload, trailer]);
+    const tag = crypto.createHmac('sha1', this.#rtcpAuthKey).update(authenticated).digest().subarray(0, 10);
+
+    return Buffer.concat([authenticated, tag]);
+  }
+
+  // returns undefined if the packet can not be authenticated
+  unprotectRtcp(packet) {
+    if (packet.length < 8 + 4 + 10) {
+      return;
+    }
+
+    const authenticated = packet.subarray(0, -10);
+    const tag = crypto.createHmac('sha1', this.#rtcpAuthKey).update(authenticated).digest().subarray(0, 10);
+
+    if (!crypto.timingSafeEqual(tag, packet.subarray(-10))) {
+      return;
+    }
+
+    const trailer = authenticated.readUInt32BE(authenticated.length - 4);
+    const payload = authenticated.subarray(8, -4);
+
+    if (!(trailer & 0x80_00_00_00)) {
+      return Buffer.concat([authenticated.subarray(0, 8), payload]);
+    }
+
+    const iv = SrtpSession.#createIv(this.#rtcpSalt, packet.readUInt32BE(4), 0, trailer % 2 ** 31);
+    const decrypted = crypto.createCipheriv('aes-128-ctr', this.#rtcpKey, iv).update(payload);
+
+    return Buffer.concat([authenticated.subarray(0, 8), decrypted]);
+  }
+}
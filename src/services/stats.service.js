@@ -0,0 +1,165 @@
+'use-strict';
+
+import Logger from '../../services/logger/logger.service.js';
+
+const NTP_EPOCH_OFFSET = 2_208_988_800;
+const DEGRADED_LOG_INTERVAL = 30_000;
+
+const thresholds = {
+  packetLoss: 5, // %
+  jitter: 100, // ms
+  rtt: 500, // ms
+  speed: 0.9,
+};
+
+// middle 32 bits of the current NTP timestamp, used for LSR/DLSR round-trip calculation (RFC 3550 6.4.1)
+const ntpMiddle = (timestamp) => {
+  const seconds = Math.floor(timestamp / 1000) + NTP_EPOCH_OFFSET;
+  const fraction = Math.floor(((timestamp % 1000) / 1000) * 65_536);
+
+  return (((seconds & 65_535) << 16) | fraction) >>> 0;
+};
+
+export default class StreamStatistics {
+  constructor(cameraName, sessionId, clockRate = 90_000) {
+    this.log = Logger.log;
+    this.cameraName = cameraName;
+    this.sessionId = sessionId;
+    this.clockRate = clockRate;
+
+    this.startedAt = Date.now();
+    this.degraded = false;
+    this.lastWarning = 0;
+
+    this.rtcp = {
+      reports: 0,
+      packetLoss: 0,
+      cumulativeLost: 0,
+      jitter: 0,
+      rtt: null,
+      updatedAt: null,
+    };
+
+    this.ffmpeg = {
+      fps: null,
+      bitrate: null,
+      speed: null,
+      dropFrames: null,
+    };
+  }
+
+  handleRtcp(packet) {
+    for (let offset = 0; offset + 8 <= packet.length; offset += (packet.readUInt16BE(offset + 2) + 1) * 4) {
+      const type = packet[offset + 1];
+      const count = packet[offset] & 31;
+
+      // report blocks follow the sender info in SR (200) or the ssrc in RR (201)
+      if (type !== 200 && type !== 201) {
+        continue;
+      }
+
+      const blocksOffset = offset + (type === 200 ? 28 : 8);
+
+      for (let index = 0; index < count; index++) {
+        const block = blocksOffset + index * 24;
+
+        if (block + 24 > packet.length) {
+          break;
+        }
+
+        this.#handleReportBlock(packet, block);
+      }
+    }
+  }
+
+  #handleReportBlock(packet, offset) {
+    const now = Date.now();
+    const lastSenderReport = packet.readUInt32BE(offset + 16);
+    const delaySinceLastSenderReport = packet.readUInt32BE(offset + 20);
+
+    this.rtcp.reports++;
+    this.rtcp.packetLoss = Math.round((packet[offset + 4] / 256) * 1000) / 10;
+    this.rtcp.cumulativeLost = packet.readIntBE(offset + 5, 3);
+    this.rtcp.jitter = Math.round(packet.readUInt32BE(offset + 12) / (this.clockRate / 1000));
+    this.rtcp.updatedAt = now;
+
+    // extended highest sequence number received, continued by the relay if a native encoder is replaced
+    this.highestSequence = {
+      value: packet.readUInt32BE(offset + 8),
+      receivedAt: now,
+    };
+
+    if (lastSenderReport) {
+      const rtt = (ntpMiddle(now) - lastSenderReport - delaySinceLastSenderReport) >>> 0;
+
+      // ignore bogus values caused by clock jumps
+      if (rtt < 65_536 * 10) {
+        this.rtcp.rtt = Math.round(rtt / 65.536);
+      }
+    }
+  }
+
+  updateProgress(progress) {
+    if (!progress) {
+      return;
+    }
+
+    this.ffmpeg = {
+      fps: progress.fps,
+      bitrate: progress.bitrate,
+      speed: progress.speed,
+      dropFrames: progress.drop_frames,
+    };
+  }
+
+  check() {
+    const problems = [];
+
+    if (this.rtcp.packetLoss > thresholds.packetLoss) {
+      problems.push(`packet loss ${this.rtcp.packetLoss}%`);
+    }
+
+    if (this.rtcp.jitter > thresholds.jitter) {
+      problems.push(`jitter ${this.rtcp.jitter}ms`);
+    }
+
+    if (this.rtcp.rtt > thresholds.rtt) {
+      problems.push(`round-trip time ${this.rtcp.rtt}ms`);
+    }
+
+    if (this.ffmpeg.speed > 0 && this.ffmpeg.speed < thresholds.speed) {
+      problems.push(`encoding speed ${this.ffmpeg.speed}x`);
+    }
+
+    if (problems.length > 0) {
+      const now = Date.now();
+
+      if (!this.degraded || now - this.lastWarning > DEGRADED_LOG_INTERVAL) {
+        this.log.warn(
+          `Stream quality degraded: ${problems.join(', ')} (${this.ffmpeg.fps || 0} fps, ${
+            this.ffmpeg.bitrate || 0
+          } kbps, ${this.ffmpeg.dropFrames || 0} dropped frames)`,
+          this.cameraName,
+          'Homebridge'
+        );
+
+        this.lastWarning = now;
+      }
+
+      this.degraded = true;
+    } else if (this.degraded) {
+      this.log.info('Stream quality recovered', this.cameraName);
+      this.degraded = false;
+    }
+  }
+
+  getStats() {
+    return {
+      sessionId: this.sessionId,
+      startedAt: this.startedAt,
+      degraded: this.degraded,
+      rtcp: { ...this.rtcp },
+      ffmpeg: { ...this.ffmpeg },
+    };
+  }
+}
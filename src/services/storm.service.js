@@ -0,0 +1,85 @@
+'use-strict';
+
+const MINUTE = 60 * 1000;
+
+/**
+ *
+ * Protects HomeKit from motion storms, tracked per camera
+ *
+ * After each motion OFF, new motion is ignored for "cooldown" seconds.
+ * A camera that raises more than "flapEvents" motion events within "flapWindow" minutes is muted for "flapMute" minutes.
+ *
+ **/
+
+export default class MotionStormGuard {
+  constructor(onMute, onUnmute) {
+    this.onMute = onMute;
+    this.onUnmute = onUnmute;
+
+    this.cooldowns = new Map();
+    this.events = new Map();
+    this.mutes = new Map();
+  }
+
+  motionStopped(key, cooldown) {
+    if (cooldown > 0) {
+      this.cooldowns.set(key, Date.now() + cooldown * 1000);
+    }
+  }
+
+  // returns the reason if the motion event must be ignored
+  check(key, options) {
+    const now = Date.now();
+
+    const mute = this.mutes.get(key);
+
+    if (mute) {
+      return `muted due to flapping until ${new Date(mute.until).toLocaleTimeString()}`;
+    }
+
+    const cooldown = this.cooldowns.get(key);
+
+    if (cooldown > now) {
+      return `cooldown active for another ${Math.ceil((cooldown - now) / 1000)}s`;
+    }
+
+    this.cooldowns.delete(key);
+
+    if (!(options.flapEvents > 0)) {
+      return;
+    }
+
+    const events = (this.events.get(key) || []).filter((time) => now - time <= options.flapWindow * MINUTE);
+    events.push(now);
+
+    this.events.set(key, events);
+
+    if (events.length > options.flapEvents) {
+      this.mute(key, options.flapMute);
+      return `more than ${options.flapEvents} motion events within ${options.flapWindow} minutes`;
+    }
+  }
+
+  mute(key, duration) {
+    const until = Date.now() + duration * MINUTE;
+
+    this.mutes.set(key, {
+      until: until,
+      timer: setTimeout(() => this.unmute(key), duration * MINUTE),
+    });
+
+    this.events.delete(key);
+    this.onMute(key, until);
+  }
+
+  unmute(key) {
+    const mute = this.mutes.get(key);
+
+    if (mute) {
+      clearTimeout(mute.timer);
+
+      this.mutes.delete(key);
+      this.onUnmute(key);
+    }
+  }
+}
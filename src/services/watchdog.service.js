@@ -0,0 +1,67 @@
+'use-strict';
+
+const CHECK_INTERVAL = 1000;
+
+export default class FfmpegWatchdog {
+  // timeout: seconds without new frames (or output), minSpeed: lowest tolerated encoding speed over the same window
+  constructor({ timeout, minSpeed, onStall }) {
+    this.timeout = timeout * 1000;
+    this.minSpeed = minSpeed;
+    this.onStall = onStall;
+
+    this.frame = 0;
+    this.lastActivity = Date.now();
+    this.slowSince = null;
+
+    this.timer = this.timeout > 0 ? setInterval(() => this.check(), CHECK_INTERVAL) : null;
+  }
+
+  // for pipelines without progress output, e.g. snapshots or recordings
+  touch() {
+    this.lastActivity = Date.now();
+  }
+
+  update(progress) {
+    const now = Date.now();
+
+    if (progress.frame > this.frame) {
+      this.frame = progress.frame;
+      this.lastActivity = now;
+    }
+
+    if (this.frame > 0 && this.minSpeed > 0 && progress.speed >= 0 && progress.speed < this.minSpeed) {
+      this.slowSince = this.slowSince || now;
+      this.speed = progress.speed;
+    } else {
+      this.slowSince = null;
+    }
+  }
+
+  check() {
+    const now = Date.now();
+
+    if (now - this.lastActivity > this.timeout) {
+      this.trigger(
+        this.frame > 0
+          ? `No new frames for ${Math.round((now - this.lastActivity) / 1000)}s (stuck at frame ${this.frame})`
+          : `No output for ${Math.round((now - this.lastActivity) / 1000)}s`
+      );
+    } else if (this.slowSince && now - this.slowSince > this.timeout) {
+      this.trigger(
+        `Processing speed below ${this.minSpeed}x (${this.speed}x) for ${Math.round((now - this.slowSince) / 1000)}s`
+      );
+    }
+  }
+
+  trigger(reason) {
+    this.stop();
+    this.onStall(reason);
+  }
+
+  stop() {
+    if (this.timer) {
+      clearInterval(this.timer);
+      this.timer = null;
+    }
+  }
+}